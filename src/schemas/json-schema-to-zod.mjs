@@ -0,0 +1,93 @@
+import { z } from 'zod';
+
+/**
+ * 将枚举值列表转换为Zod模式
+ * @param {Array} values - 枚举值
+ * @returns {z.ZodTypeAny} Zod模式
+ */
+const enumToZod = (values) => {
+  if (values.every((value) => typeof value === 'string')) {
+    return z.enum(values);
+  }
+  const literals = values.map((value) => z.literal(value));
+  return literals.length === 1 ? literals[0] : z.union(literals);
+};
+
+/**
+ * 将对象类型的JSON Schema转换为Zod模式
+ * @param {Object} schema - JSON Schema
+ * @returns {z.ZodTypeAny} Zod模式
+ */
+const objectToZod = (schema) => {
+  const required = new Set(schema.required || []);
+  const shape = Object.fromEntries(
+    Object.entries(schema.properties || {}).map(([key, property]) => {
+      let field = jsonSchemaToZod(property);
+      if (!required.has(key)) {
+        field =
+          property.default !== undefined
+            ? field.default(property.default)
+            : field.optional();
+      }
+      return [key, field];
+    })
+  );
+
+  const object = z.object(shape);
+  return schema.additionalProperties === false
+    ? object.strict()
+    : object.passthrough();
+};
+
+/**
+ * 将JSON Schema转换为Zod模式，用于为已保存的工具链注册FastMCP参数
+ * 支持常用的类型、枚举、必需字段、默认值和描述，无法识别的部分接受任意值
+ * @param {Object} [schema] - JSON Schema
+ * @returns {z.ZodTypeAny} Zod模式
+ */
+export const jsonSchemaToZod = (schema = {}) => {
+  let result;
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    result = enumToZod(schema.enum);
+  } else {
+    switch (schema.type) {
+      case 'string':
+        result = z.string();
+        if (schema.minLength !== undefined)
+          result = result.min(schema.minLength);
+        if (schema.maxLength !== undefined)
+          result = result.max(schema.maxLength);
+        if (schema.pattern) result = result.regex(new RegExp(schema.pattern));
+        break;
+      case 'number':
+      case 'integer':
+        result = schema.type === 'integer' ? z.number().int() : z.number();
+        if (schema.minimum !== undefined) result = result.min(schema.minimum);
+        if (schema.maximum !== undefined) result = result.max(schema.maximum);
+        break;
+      case 'boolean':
+        result = z.boolean();
+        break;
+      case 'null':
+        result = z.null();
+        break;
+      case 'array':
+        result = z.array(jsonSchemaToZod(schema.items));
+        if (schema.minItems !== undefined) result = result.min(schema.minItems);
+        if (schema.maxItems !== undefined) result = result.max(schema.maxItems);
+        break;
+      case 'object':
+        result = objectToZod(schema);
+        break;
+      default:
+        result = schema.properties ? objectToZod(schema) : z.any();
+    }
+  }
+
+  return schema.description ? result.describe(schema.description) : result;
+};
+
+export default {
+  jsonSchemaToZod,
+};
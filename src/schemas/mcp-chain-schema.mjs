@@ -1,39 +1,484 @@
 import { z } from 'zod';
 
 /**
- * MCP工具链请求的验证模式
+ * Choice条件的验证模式（支持 and/or/not 嵌套）
  */
-export const McpChainRequestSchema = z.object({
-  mcpPath: z
+export const ChoiceConditionSchema = z.lazy(() => ChoiceConditionObjectSchema);
+
+const ChoiceConditionObjectSchema = z.object({
+  variable: z
+    .string()
+    .optional()
+    .describe(
+      "要判断的JSONPath表达式，默认为'$'（整个当前结果）。可以使用过滤表达式作为JSONPath谓词，例如'$.items[?(@.score > 0.5)]'配合isPresent使用。"
+    ),
+  stringEquals: z.string().optional().describe('变量等于指定字符串'),
+  numericEquals: z.number().optional().describe('变量数值等于指定数字'),
+  numericGreaterThan: z.number().optional().describe('变量数值大于指定数字'),
+  numericGreaterThanEquals: z
+    .number()
+    .optional()
+    .describe('变量数值大于等于指定数字'),
+  numericLessThan: z.number().optional().describe('变量数值小于指定数字'),
+  numericLessThanEquals: z
+    .number()
+    .optional()
+    .describe('变量数值小于等于指定数字'),
+  booleanEquals: z.boolean().optional().describe('变量等于指定布尔值'),
+  isPresent: z
+    .boolean()
+    .optional()
+    .describe('变量（或JSONPath谓词的匹配结果）是否存在'),
+  isNull: z.boolean().optional().describe('变量是否为null'),
+  matches: z.string().optional().describe('变量字符串匹配指定正则表达式'),
+  and: z.array(ChoiceConditionSchema).optional().describe('所有子条件都成立'),
+  or: z.array(ChoiceConditionSchema).optional().describe('任一子条件成立'),
+  not: ChoiceConditionSchema.optional().describe('子条件不成立'),
+});
+
+/**
+ * Choice规则的验证模式：条件成立时跳转到指定步骤或结束工具链
+ */
+export const ChoiceRuleSchema = ChoiceConditionObjectSchema.extend({
+  next: z.string().optional().describe('条件成立时跳转到的步骤id'),
+  end: z.boolean().optional().describe('条件成立时结束工具链'),
+});
+
+const ErrorEqualsSchema = z
+  .array(z.string())
+  .optional()
+  .describe(
+    "要匹配的错误列表，默认为['States.ALL']。可以是'States.ALL'（任意错误）、'States.Timeout'（超时）、'States.TaskFailed'（其他执行失败），或错误信息中包含的文本。"
+  );
+
+/**
+ * 步骤Retry规则的验证模式
+ */
+export const RetryRuleSchema = z.object({
+  errorEquals: ErrorEqualsSchema,
+  maxAttempts: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe('最大重试次数，默认为3'),
+  intervalMs: z
+    .number()
+    .min(0)
+    .optional()
+    .describe('第一次重试前的等待时间（毫秒），默认为1000'),
+  backoffRate: z
+    .number()
+    .min(1)
+    .optional()
+    .describe('每次重试等待时间的增长倍数，默认为2'),
+  maxDelayMs: z
+    .number()
+    .min(0)
+    .optional()
+    .describe('可选，单次重试等待时间的上限（毫秒）'),
+  jitter: z
+    .boolean()
+    .optional()
+    .describe('可选，为true时在0到计算出的等待时间之间随机等待'),
+});
+
+/**
+ * 步骤Catch规则的验证模式
+ */
+export const CatchRuleSchema = z.object({
+  errorEquals: ErrorEqualsSchema,
+  next: z.string().describe('捕获错误后跳转到的步骤id'),
+  includeError: z
+    .boolean()
+    .optional()
+    .describe(
+      '为true时将错误信息（{error, cause, step}的JSON）作为CHAIN_RESULT传递给next步骤，否则传递此步骤的输入'
+    ),
+});
+
+/**
+ * 步骤输入或输出查询的验证模式（可选择查询语言）
+ */
+export const QuerySchema = z.object({
+  language: z
+    .enum(['jsonpath', 'jmespath', 'jsonpointer', 'xpath', 'css', 'regex'])
+    .describe(
+      "查询语言：'jsonpath'、'jmespath'、'jsonpointer'（例如'/items/0/name'）用于JSON数据；'xpath'用于XML或HTML文本；'css'（CSS选择器）用于HTML文本；'regex'用于纯文本，有命名捕获组时每个匹配返回以组名为键的对象，否则返回第一个捕获组或整个匹配。"
+    ),
+  expression: z.string().describe('查询表达式'),
+  select: z
+    .string()
+    .optional()
+    .describe(
+      "可选，xpath和css匹配到元素时返回的内容：'text'（文本内容，默认）、'html'（元素的HTML）或'@<属性名>'（属性值，例如'@href'）"
+    ),
+  flags: z
+    .string()
+    .optional()
+    .describe("可选，regex的正则表达式标志，例如'i'或'm'"),
+});
+
+// 指定spill时的最小字节预算，溢出后的引用（位置、字节数和预览）需要在预算以内
+const MIN_SPILL_BYTES = 512;
+
+/**
+ * 步骤输出或工具链结果大小限制的验证模式
+ */
+export const OutputLimitSchema = z
+  .object({
+    maxBytes: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe('可选，最大字节数（UTF-8）'),
+    maxTokens: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe(
+        '可选，最大token数，按每个token 4字节估算。与maxBytes同时指定时取较小者'
+      ),
+    strategy: z
+      .enum(['head', 'tail', 'headTail'])
+      .optional()
+      .describe(
+        "可选，超出限制时的截断策略：'head'保留开头（默认），'tail'保留结尾，'headTail'保留开头和结尾"
+      ),
+    spill: z
+      .enum(['file', 'resource'])
+      .optional()
+      .describe(
+        "可选，超出限制时不截断，而是将完整内容写入临时文件（'file'）或保存为MCP资源（'resource'），并以包含位置（uri，文件还包括path）、原始字节数和截断预览的JSON引用代替"
+      ),
+  })
+  .refine(
+    (limit) => limit.maxBytes !== undefined || limit.maxTokens !== undefined,
+    '必须指定maxBytes或maxTokens'
+  )
+  .refine(
+    (limit) =>
+      !limit.spill ||
+      Math.min(limit.maxBytes ?? Infinity, (limit.maxTokens ?? Infinity) * 4) >=
+        MIN_SPILL_BYTES,
+    `指定spill时限制至少为 ${MIN_SPILL_BYTES} 字节（maxTokens按每个token 4字节计算），以容纳输出的引用`
+  );
+
+/**
+ * 工具链单个步骤的验证模式
+ */
+export const McpChainStepSchema = z.object({
+  id: z
+    .string()
+    .regex(/^[A-Za-z0-9_-]+$/)
+    .optional()
+    .describe(
+      "可选的步骤标识，仅允许字母、数字、下划线和连字符。后续步骤可在toolArgs中通过'{{steps.<id>.output}}'引用该步骤的输出，Choice步骤可通过id跳转到该步骤。"
+    ),
+  type: z
+    .enum(['Task', 'Choice', 'Parallel', 'Map', 'Loop', 'Chain'])
+    .optional()
+    .describe(
+      "步骤类型，默认为'Task'（调用工具）。'Choice'步骤不调用工具，而是根据choices中的条件判断当前结果，跳转到指定步骤或结束工具链，当前结果原样传递。'Parallel'步骤并发执行branches中的所有分支子链，并将各分支结果合并后传递给下一个步骤。'Map'步骤对输入数组（可通过inputPath选择）的每一项调用一次toolName，CHAIN_RESULT绑定为当前项，所有结果按顺序收集为数组。'Loop'步骤重复调用toolName（或执行mcpPath子链），每次的CHAIN_RESULT都是此步骤的输入，只要while条件对本次结果成立就继续，例如分页获取直到没有nextCursor，各次结果（或itemsPath选择的项）收集为数组。'Chain'步骤执行一个内联子链（mcpPath）或已保存的工具链（chainName），子链的结果作为此步骤的输出，用于由已测试的工具链组合出复杂的流程。"
+    ),
+  toolName: z
+    .string()
+    .optional()
+    .describe(
+      "要在链中执行的工具的完全限定名称（例如，'browser_mcp_fetch_url'，'memory_server_create_entities'）。必须与可用工具名称完全匹配。Task步骤必填。"
+    ),
+  toolArgs: z
+    .union([z.record(z.any()), z.string()])
+    .optional()
+    .describe(
+      '工具参数对象（推荐），或兼容旧写法的JSON字符串，Task和Map步骤必填。Chain步骤的toolArgs构造子链的input。要传递链中上一个工具的结果，请使用占位符"CHAIN_RESULT"：值恰好为"CHAIN_RESULT"时按原类型插入（JSON结果插入为对象、数组、数字等，文本插入为字符串），出现在更长的字符串中时按文本拼接，可以出现多次、嵌套在数组或对象中。要引用任意已完成步骤的输出，请在字符串值中使用"{{steps.<id>.output}}"，也可以附加JSONPath，例如"{{steps.fetch.output.$.items[0]}}"，插入规则与CHAIN_RESULT相同。'
+    ),
+  inputPath: z
+    .string()
+    .optional()
+    .describe(
+      "可选的JSONPath表达式，用于在传递给此工具之前从上一个工具的结果中提取特定数据。例如：'$.count'将从JSON响应中仅提取count字段。对Choice步骤，条件将基于提取后的数据判断。"
+    ),
+  outputPath: z
+    .string()
+    .optional()
+    .describe(
+      "可选的JSONPath表达式，用于在传递给链中下一个工具之前从此工具的结果中提取特定数据。例如：'$.entities[0].name'将仅提取第一个实体名称。"
+    ),
+  inputQuery: QuerySchema.optional().describe(
+    '可选，使用指定查询语言从上一个步骤的结果中提取此步骤的输入，作用与inputPath相同，不能与inputPath同时使用。jsonpath、xpath、css和regex只有一个匹配时返回该项本身，多个匹配时返回数组。'
+  ),
+  outputFormat: z
+    .enum(['yaml', 'csv', 'tsv', 'ndjson', 'markdown-table', 'key-value'])
+    .optional()
+    .describe(
+      "可选，工具输出文本的格式。指定时先将输出解析为结构化数据，再应用outputPath或outputQuery：'csv'、'tsv'和'markdown-table'的第一行为表头，解析为对象数组；'ndjson'解析为每行一项的数组；'key-value'将每行的 key: value 或 key=value 解析为对象。表格和键值中数字形式的值转换为数字。无法解析时步骤失败。工具返回structuredContent时忽略此设置。"
+    ),
+  outputQuery: QuerySchema.optional().describe(
+    '可选，使用指定查询语言从此步骤的结果中提取输出，作用与outputPath相同，不能与outputPath同时使用。'
+  ),
+  outputLimit: OutputLimitSchema.optional().describe(
+    '可选，此步骤输出（应用outputPath后）的大小限制，超出时截断或溢出到文件/资源后再传递给下一个步骤。'
+  ),
+  parameters: z
+    .record(z.any())
+    .optional()
+    .describe(
+      '可选，从步骤输入构造工具参数的模板（Step Functions样式）。以\'.$\'结尾的键的值是针对步骤输入（应用inputPath后）的JSONPath表达式，例如 {"url.$": "$.page.url", "limit": 5}；其他值按原样使用。构造出的参数会覆盖toolArgs中的同名参数，提供parameters时toolArgs可省略。Chain步骤的parameters构造子链的input。'
+    ),
+  resultPath: z
+    .string()
+    .nullable()
+    .optional()
+    .describe(
+      "可选，将此步骤的输出（应用outputPath后）合并到步骤原始输入中的位置，例如'$.summary'，使工具链维护一个逐步累积的JSON状态文档。未指定或为'$'时输出替换输入；为null时丢弃输出，输入原样传递给下一个步骤。"
+    ),
+  choices: z
+    .array(ChoiceRuleSchema)
+    .optional()
+    .describe(
+      'Choice步骤的规则列表，按顺序判断，第一个成立的规则决定跳转目标（next）或结束工具链（end）。'
+    ),
+  default: z
+    .string()
+    .optional()
+    .describe(
+      'Choice步骤在没有规则成立时跳转到的步骤id。未指定时继续执行下一个步骤。'
+    ),
+  branches: z
     .array(
       z.object({
-        toolName: z
-          .string()
-          .describe(
-            "要在链中执行的工具的完全限定名称（例如，'browser_mcp_fetch_url'，'memory_server_create_entities'）。必须与可用工具名称完全匹配。"
-          ),
-        toolArgs: z
-          .string()
-          .describe(
-            '包含工具参数的JSON字符串。要传递链中上一个工具的结果，请使用占位符"CHAIN_RESULT"。传递给数组参数时，使用["CHAIN_RESULT"]格式。'
-          ),
-        inputPath: z
+        name: z
           .string()
           .optional()
           .describe(
-            "可选的JSONPath表达式，用于在传递给此工具之前从上一个工具的结果中提取特定数据。例如：'$.count'将从JSON响应中仅提取count字段。"
+            '可选的分支名称，所有分支都有名称时结果合并为以名称为键的对象'
           ),
-        outputPath: z
-          .string()
-          .optional()
+        mcpPath: z
+          .lazy(() => z.array(McpChainStepSchema))
           .describe(
-            "可选的JSONPath表达式，用于在传递给链中下一个工具之前从此工具的结果中提取特定数据。例如：'$.entities[0].name'将仅提取第一个实体名称。"
+            '分支子链的步骤数组，第一个步骤的CHAIN_RESULT为Parallel步骤的输入'
           ),
       })
     )
+    .optional()
     .describe(
-      '有序的工具配置数组，将按顺序执行以形成处理链。每个工具接收来自前一个工具的（可选过滤的）输出。'
+      'Parallel步骤的分支列表，各分支并发执行。结果按分支顺序合并为数组，或在所有分支都有name时合并为对象。'
     ),
+  mcpPath: z
+    .lazy(() => z.array(McpChainStepSchema))
+    .optional()
+    .describe(
+      'Loop步骤每次执行的子链，与toolName二选一。子链第一个步骤的CHAIN_RESULT为Loop步骤的输入，子链的结果作为本次的结果。也用作Chain步骤执行的内联子链，与chainName二选一，子链第一个步骤的CHAIN_RESULT为Chain步骤的输入（应用inputPath后）。'
+    ),
+  chainName: z
+    .string()
+    .optional()
+    .describe(
+      'Chain步骤执行的已保存工具链名称，与mcpPath二选一。工具链的input由toolArgs/parameters构造（未指定时为空对象）并按其inputSchema验证，使用工具链自己的变量，其中的步骤id与当前工具链相互独立。'
+    ),
+  while: ChoiceConditionSchema.optional().describe(
+    'Loop步骤继续执行的条件，针对每次的结果判断（与Choice规则的条件写法相同），例如 {"variable": "$.nextCursor", "isPresent": true}。'
+  ),
+  cursorPath: z
+    .string()
+    .optional()
+    .describe(
+      "可选，Loop步骤从每次结果中提取游标的JSONPath表达式，例如'$.nextCursor'。下一次执行时参数中可通过 {{loop.cursor}} 或 $$.loop.cursor 引用（第一次执行时未定义，完全由该模板组成的参数会被省略）。{{loop.index}} 为从0开始的执行次数。"
+    ),
+  itemsPath: z
+    .string()
+    .optional()
+    .describe(
+      "可选，Loop步骤从每次结果中选择要收集的项的JSONPath表达式，例如'$.items'，各次选择的数组拼接为一个数组。未指定时收集每次的完整结果。"
+    ),
+  maxIterations: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      'Loop步骤的最大执行次数，默认为10。达到上限时停止并返回已收集的结果。'
+    ),
+  maxConcurrency: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe('Map步骤同时进行的最大工具调用数，0或未指定表示不限制'),
+  timeoutMs: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      '可选，此步骤每次工具调用等待响应的超时时间（毫秒），默认为30000。超时后会通知下游服务器取消该请求。'
+    ),
+  continueOnError: z
+    .boolean()
+    .optional()
+    .describe(
+      '可选，工具返回错误结果（isError）时是否继续执行，默认为false。为true时错误内容作为此步骤的输出传递给下一个步骤。'
+    ),
+  noCache: z
+    .boolean()
+    .optional()
+    .describe(
+      '可选，为true时不使用缓存的工具调用结果，总是调用工具（调用结果仍会更新缓存）。只对服务器配置了cache的工具有效。'
+    ),
+  retry: z
+    .array(RetryRuleSchema)
+    .optional()
+    .describe(
+      '可选的重试规则，步骤失败时使用第一条匹配错误的规则按指数退避重试'
+    ),
+  catch: z
+    .array(CatchRuleSchema)
+    .optional()
+    .describe(
+      '可选的错误捕获规则，步骤在重试后仍然失败时跳转到第一条匹配规则的next步骤，而不是终止工具链'
+    ),
+  next: z
+    .string()
+    .optional()
+    .describe('可选，此步骤完成后跳转到的步骤id（默认按顺序执行下一个步骤）'),
+  end: z.boolean().optional().describe('可选，此步骤完成后结束工具链'),
+});
+
+/**
+ * MCP工具链请求的验证模式
+ */
+export const McpChainRequestSchema = z.object({
+  mcpPath: z
+    .array(McpChainStepSchema)
+    .describe(
+      '有序的工具配置数组，将按顺序执行以形成处理链。每个工具接收来自前一个工具的（可选过滤的）输出。可通过Choice步骤或next/end改变执行顺序。'
+    ),
+  input: z
+    .record(z.any())
+    .optional()
+    .describe(
+      '可选，工具链输入。步骤参数中通过 {{input.<name>}} 引用，JSONPath表达式（parameters、inputPath、Choice的variable等）中通过 $$.input.<name> 引用。'
+    ),
+  variables: z
+    .record(z.any())
+    .optional()
+    .describe(
+      '可选，工具链变量。步骤参数中通过 {{variables.<name>}} 引用，JSONPath表达式中通过 $$.variables.<name> 引用，引用未定义的变量会导致验证失败。'
+    ),
+  deadlineMs: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      '可选，整个工具链的最长执行时间（毫秒）。超过后取消正在进行的工具调用并终止工具链，不再重试或捕获。'
+    ),
+  trace: z
+    .boolean()
+    .optional()
+    .describe(
+      '可选，为true时在结果中附加每次工具调用的执行跟踪：工具、服务器、最终参数、耗时、输出大小、JSONPath提取是否回退为原始数据以及错误信息。'
+    ),
+  dryRun: z
+    .boolean()
+    .optional()
+    .describe(
+      '可选，为true时不调用任何工具，只返回执行计划：每个步骤的工具所在服务器、参数验证结果、JSONPath检查结果以及带有destructiveHint的步骤。'
+    ),
+  outputLimit: OutputLimitSchema.optional().describe(
+    '可选，工具链最终结果的大小限制，超出时截断或溢出到文件/资源。'
+  ),
+});
+
+/**
+ * 异步执行工具链的请求验证模式，与mcp_chain相同但不支持dryRun
+ */
+export const McpChainStartRequestSchema = McpChainRequestSchema.omit({
+  dryRun: true,
+});
+
+/**
+ * 查询、获取结果或取消异步运行的请求验证模式
+ */
+export const ChainRunRequestSchema = z.object({
+  runId: z.string().describe('mcp_chain_start返回的运行ID。'),
+});
+
+/**
+ * 继续执行失败运行的请求验证模式
+ */
+export const ResumeChainRequestSchema = z.object({
+  runId: z
+    .string()
+    .describe('失败的工具链运行ID，工具链失败时在错误信息中给出。'),
+  toolArgs: z
+    .union([z.record(z.any()), z.string()])
+    .optional()
+    .describe(
+      '可选，替换失败步骤的toolArgs后重试，写法与mcp_chain步骤的toolArgs相同。'
+    ),
+  parameters: z
+    .record(z.any())
+    .optional()
+    .describe(
+      '可选，替换失败步骤的parameters后重试，写法与mcp_chain步骤的parameters相同。'
+    ),
+  trace: z
+    .boolean()
+    .optional()
+    .describe('可选，为true时在结果中附加本次执行的步骤跟踪。'),
+});
+
+/**
+ * 查询运行历史的请求验证模式
+ */
+export const ChainHistoryRequestSchema = z.object({
+  runId: z
+    .string()
+    .optional()
+    .describe(
+      '可选，返回此运行的完整记录（每个步骤的耗时和状态、输出、工具链定义），指定时忽略其他条件。'
+    ),
+  chain: z.string().optional().describe('可选，已保存工具链的名称。'),
+  status: z
+    .enum(['succeeded', 'failed', 'cancelled'])
+    .optional()
+    .describe('可选，运行状态。'),
+  toolName: z
+    .string()
+    .optional()
+    .describe('可选，只返回包含调用此工具的顶层步骤的运行。'),
+  server: z
+    .string()
+    .optional()
+    .describe('可选，只返回包含调用此服务器工具的顶层步骤的运行。'),
+  since: z
+    .string()
+    .optional()
+    .describe('可选，只返回在此时间之后开始的运行，ISO 8601格式。'),
+  until: z
+    .string()
+    .optional()
+    .describe('可选，只返回在此时间之前开始的运行，ISO 8601格式。'),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(100)
+    .optional()
+    .describe('可选，最多返回的运行数，默认20。'),
+});
+
+/**
+ * 工具调用结果缓存配置的验证模式
+ */
+export const ToolCacheConfigSchema = z.object({
+  ttlMs: z.number().int().positive().optional(),
+  maxEntries: z.number().int().positive().optional(),
+  maxBytes: z.number().int().positive().optional(),
 });
 
 /**
@@ -43,6 +488,20 @@ export const McpServerConfigSchema = z.object({
   command: z.string(),
   args: z.array(z.string()),
   env: z.record(z.string()).optional().default({}),
+  cache: ToolCacheConfigSchema.extend({
+    tools: z
+      .record(z.string(), z.union([ToolCacheConfigSchema, z.literal(false)]))
+      .optional(),
+  }).optional(),
+});
+
+/**
+ * 运行状态和运行历史的存储位置及保留策略
+ */
+export const StorageConfigSchema = z.object({
+  path: z.string().optional(),
+  maxRuns: z.number().int().positive().optional(),
+  maxAgeDays: z.number().positive().optional(),
 });
 
 /**
@@ -50,6 +509,40 @@ export const McpServerConfigSchema = z.object({
  */
 export const McpConfigSchema = z.object({
   mcpServers: z.record(z.string(), McpServerConfigSchema),
+  chainsPath: z.string().optional(),
+  runs: StorageConfigSchema.optional(),
+  history: StorageConfigSchema.optional(),
+});
+
+/**
+ * 已保存工具链的验证模式
+ */
+export const SavedChainSchema = z.object({
+  description: z.string().optional(),
+  inputSchema: z
+    .record(z.any())
+    .optional()
+    .default({ type: 'object', properties: {} }),
+  mcpPath: z.array(McpChainStepSchema).min(1),
+  variables: z.record(z.any()).optional(),
+  deadlineMs: z.number().int().positive().optional(),
+  outputLimit: OutputLimitSchema.optional(),
+  annotations: z.record(z.boolean()).optional(),
+});
+
+/**
+ * 工具链库文件的验证模式
+ */
+export const ChainLibrarySchema = z.object({
+  chains: z.record(
+    z
+      .string()
+      .regex(
+        /^[A-Za-z0-9_-]{1,64}$/,
+        '工具链名称只能包含字母、数字、下划线和连字符'
+      ),
+    SavedChainSchema
+  ),
 });
 
 /**
@@ -72,8 +565,23 @@ export const McpToolSchema = z.object({
 });
 
 export default {
+  ChoiceConditionSchema,
+  ChoiceRuleSchema,
+  RetryRuleSchema,
+  CatchRuleSchema,
+  QuerySchema,
+  OutputLimitSchema,
+  McpChainStepSchema,
   McpChainRequestSchema,
+  McpChainStartRequestSchema,
+  ChainRunRequestSchema,
+  ResumeChainRequestSchema,
+  ChainHistoryRequestSchema,
+  ToolCacheConfigSchema,
   McpServerConfigSchema,
+  StorageConfigSchema,
   McpConfigSchema,
+  SavedChainSchema,
+  ChainLibrarySchema,
   McpToolSchema,
 };
@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import logger from './logger.mjs';
 import { registerTools } from './tools/index.mjs';
+import { forwardCancelSignal } from './tools/utils.mjs';
 import mcpConfigService from './services/mcp-config.mjs';
 import mcpClientManager from './services/mcp-client-manager.mjs';
 
@@ -42,6 +43,8 @@ class LPToolChainerMCPServer {
       },
     };
 
+    // 客户端取消工具调用时取消工具链中正在进行的下游调用
+    forwardCancelSignal();
     this.server = new FastMCP(this.options);
     this.initialized = false;
     this.configPath = null;
@@ -0,0 +1,355 @@
+// 内置步骤的工具名称前缀，例如 builtin.join
+export const BUILTIN_PREFIX = 'builtin.';
+
+// 内置步骤在跟踪和执行计划中显示的服务器名称
+export const BUILTIN_SERVER_KEY = 'builtin';
+
+const ITEMS_SCHEMA = {
+  type: 'array',
+  description: '要处理的数组，默认为步骤输入',
+};
+
+const BY_SCHEMA = {
+  type: 'string',
+  description: '按数组项的属性比较，支持 a.b 形式的嵌套属性',
+};
+
+/**
+ * 按以点分隔的属性路径取值
+ * @param {any} value - 对象
+ * @param {string} [path] - 属性路径，未指定时返回对象本身
+ * @returns {any} 属性值
+ */
+const getByPath = (value, path) =>
+  path
+    ? path.split('.').reduce((current, key) => current?.[key], value)
+    : value;
+
+/**
+ * 将值转换为文本，非字符串按JSON序列化
+ * @param {any} value - 值
+ * @returns {string} 文本
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * 获取要处理的数组，未通过items指定时使用步骤输入
+ * @param {Object} args - 步骤参数
+ * @param {any} input - 步骤输入
+ * @param {string} name - 内置步骤名称（用于错误信息）
+ * @returns {Array} 数组
+ */
+const getItems = (args, input, name) => {
+  const items = args.items ?? input;
+  if (!Array.isArray(items)) {
+    throw new Error(
+      `${BUILTIN_PREFIX}${name} 需要数组输入，请通过items参数或inputPath指定`
+    );
+  }
+  return items;
+};
+
+/**
+ * 获取要处理的文本，未通过text指定时使用步骤输入
+ * @param {Object} args - 步骤参数
+ * @param {any} input - 步骤输入
+ * @returns {string} 文本
+ */
+const getText = (args, input) => toText(args.text ?? input);
+
+/**
+ * 比较两个值，数字按大小比较，其他按文本比较
+ * @param {any} a - 值
+ * @param {any} b - 值
+ * @returns {number} 比较结果
+ */
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return toText(a).localeCompare(toText(b));
+};
+
+/**
+ * 转义Markdown表格单元格中的特殊字符
+ * @param {any} value - 单元格的值
+ * @returns {string} 转义后的文本
+ */
+const toTableCell = (value) =>
+  toText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+/**
+ * 内置步骤定义
+ * 每个步骤的run接收 (已解析的参数, 已解析的步骤输入)，返回步骤输出
+ */
+const BUILTIN_STEPS = {
+  template: {
+    description:
+      '按模板格式化字符串，模板中的 ${name} 替换为values中对应属性的值',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        template: { type: 'string', description: '模板字符串' },
+        values: {
+          type: 'object',
+          description: '模板中引用的值，默认为步骤输入',
+        },
+      },
+      required: ['template'],
+    },
+    run: (args, input) =>
+      args.template.replace(/\$\{\s*([^}\s]+)\s*\}/g, (match, path) =>
+        toText(getByPath(args.values ?? input, path))
+      ),
+  },
+
+  regex: {
+    description:
+      '使用正则表达式从文本中提取内容，all为true时返回所有匹配组成的数组',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: '正则表达式' },
+        flags: { type: 'string', description: '正则表达式标志，例如 i' },
+        text: { type: 'string', description: '要匹配的文本，默认为步骤输入' },
+        group: {
+          type: ['integer', 'string'],
+          description: '返回的捕获组序号或名称，默认为整个匹配',
+        },
+        all: { type: 'boolean', description: '是否返回所有匹配' },
+      },
+      required: ['pattern'],
+    },
+    run: (args, input) => {
+      const text = getText(args, input);
+      const flags = (args.flags || '').replace(/g/g, '');
+      const pick = (match) =>
+        typeof args.group === 'string'
+          ? (match.groups?.[args.group] ?? null)
+          : (match[args.group ?? 0] ?? null);
+
+      if (args.all) {
+        return [...text.matchAll(new RegExp(args.pattern, `${flags}g`))].map(
+          pick
+        );
+      }
+      const match = new RegExp(args.pattern, flags).exec(text);
+      return match ? pick(match) : null;
+    },
+  },
+
+  markdownTable: {
+    description: '将对象数组转换为Markdown表格',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: ITEMS_SCHEMA,
+        columns: {
+          type: 'array',
+          items: { type: 'string' },
+          description: '列（属性路径），默认为所有项中出现过的属性',
+        },
+      },
+    },
+    run: (args, input) => {
+      const items = getItems(args, input, 'markdownTable');
+      const columns = args.columns ?? [
+        ...new Set(
+          items.flatMap((item) =>
+            item && typeof item === 'object' ? Object.keys(item) : []
+          )
+        ),
+      ];
+
+      const header = `| ${columns.map(toTableCell).join(' | ')} |`;
+      const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+      const rows = items.map(
+        (item) =>
+          `| ${columns
+            .map((column) => toTableCell(getByPath(item, column)))
+            .join(' | ')} |`
+      );
+      return [header, divider, ...rows].join('\n');
+    },
+  },
+
+  join: {
+    description: '将数组的各项按分隔符拼接为字符串',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: ITEMS_SCHEMA,
+        separator: { type: 'string', description: '分隔符，默认为换行' },
+      },
+    },
+    run: (args, input) =>
+      getItems(args, input, 'join')
+        .map(toText)
+        .join(args.separator ?? '\n'),
+  },
+
+  split: {
+    description: '按分隔符将字符串拆分为数组，默认去除各项首尾空白并忽略空项',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: '要拆分的文本，默认为步骤输入' },
+        separator: { type: 'string', description: '分隔符，默认为换行' },
+        trim: {
+          type: 'boolean',
+          description: '是否去除各项首尾空白，默认为true',
+        },
+        removeEmpty: {
+          type: 'boolean',
+          description: '是否忽略空项，默认为true',
+        },
+      },
+    },
+    run: (args, input) => {
+      let parts = getText(args, input).split(args.separator ?? '\n');
+      if (args.trim !== false) parts = parts.map((part) => part.trim());
+      if (args.removeEmpty !== false)
+        parts = parts.filter((part) => part !== '');
+      return parts;
+    },
+  },
+
+  dedupe: {
+    description: '去除数组中的重复项，保留第一次出现的项',
+    inputSchema: {
+      type: 'object',
+      properties: { items: ITEMS_SCHEMA, by: BY_SCHEMA },
+    },
+    run: (args, input) => {
+      const seen = new Set();
+      return getItems(args, input, 'dedupe').filter((item) => {
+        const key = toText(getByPath(item, args.by));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    },
+  },
+
+  sort: {
+    description: '对数组排序，数字按大小排序，其他按文本排序',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: ITEMS_SCHEMA,
+        by: BY_SCHEMA,
+        order: {
+          enum: ['asc', 'desc'],
+          description: '排序方向，默认为asc',
+        },
+      },
+    },
+    run: (args, input) => {
+      const direction = args.order === 'desc' ? -1 : 1;
+      return [...getItems(args, input, 'sort')].sort(
+        (a, b) =>
+          direction *
+          compareValues(getByPath(a, args.by), getByPath(b, args.by))
+      );
+    },
+  },
+
+  take: {
+    description: '取数组的前N项，from为end时取最后N项',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: ITEMS_SCHEMA,
+        count: { type: 'integer', minimum: 0, description: '项数' },
+        from: {
+          enum: ['start', 'end'],
+          description: '从开头或结尾取，默认为start',
+        },
+      },
+      required: ['count'],
+    },
+    run: (args, input) => {
+      const items = getItems(args, input, 'take');
+      if (args.from === 'end') {
+        return args.count === 0 ? [] : items.slice(-args.count);
+      }
+      return items.slice(0, args.count);
+    },
+  },
+};
+
+/**
+ * 按工具名称查找内置步骤定义
+ * @param {string} toolName - 工具名称，例如 builtin.join
+ * @returns {Object|null} 内置步骤定义
+ */
+const findBuiltin = (toolName) => {
+  const name = toolName.slice(BUILTIN_PREFIX.length);
+  return Object.hasOwn(BUILTIN_STEPS, name) ? BUILTIN_STEPS[name] : null;
+};
+
+/**
+ * 判断工具名称是否为内置步骤
+ * @param {string} toolName - 工具名称
+ * @returns {boolean} 是否为内置步骤
+ */
+export const isBuiltinStep = (toolName) =>
+  typeof toolName === 'string' && toolName.startsWith(BUILTIN_PREFIX);
+
+/**
+ * 获取内置步骤的定义
+ * @param {string} toolName - 工具名称，例如 builtin.join
+ * @returns {Object|null} 内置步骤的工具信息（name、description、inputSchema、annotations）
+ */
+export const getBuiltinStep = (toolName) => {
+  const builtin = isBuiltinStep(toolName) && findBuiltin(toolName);
+  if (!builtin) {
+    return null;
+  }
+
+  return {
+    name: toolName,
+    description: builtin.description,
+    inputSchema: builtin.inputSchema,
+    annotations: { readOnlyHint: true, idempotentHint: true },
+  };
+};
+
+/**
+ * 执行内置步骤，返回与MCP工具调用结果相同格式的响应
+ * @param {string} toolName - 工具名称，例如 builtin.join
+ * @param {Object} args - 已解析的参数
+ * @param {any} input - 已解析的步骤输入
+ * @returns {Object} 工具调用结果
+ */
+export const runBuiltinStep = (toolName, args, input) => {
+  const builtin = isBuiltinStep(toolName) && findBuiltin(toolName);
+  if (!builtin) {
+    throw new Error(`内置步骤不存在: ${toolName}`);
+  }
+
+  const output = builtin.run(args, input);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: typeof output === 'string' ? output : JSON.stringify(output),
+      },
+    ],
+  };
+};
+
+/**
+ * 获取所有内置步骤的工具名称
+ * @returns {string[]} 工具名称列表
+ */
+export const getBuiltinStepNames = () =>
+  Object.keys(BUILTIN_STEPS).map((name) => `${BUILTIN_PREFIX}${name}`);
+
+export default {
+  isBuiltinStep,
+  getBuiltinStep,
+  runBuiltinStep,
+  getBuiltinStepNames,
+};
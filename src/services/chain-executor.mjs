@@ -1,15 +1,235 @@
 import { JSONPath } from 'jsonpath-plus';
 import mcpClientManager from './mcp-client-manager.mjs';
+import chainLibrary from './chain-library.mjs';
+import { evaluateCondition, validateCondition } from './choice-evaluator.mjs';
+import { validateToolArgs, applyInputDefaults } from './schema-validator.mjs';
+import { checkQuery, runQuery } from './extractors.mjs';
+import { parseOutput } from './output-parsers.mjs';
+import outputStore from './output-store.mjs';
+import runStore from './run-store.mjs';
+import runHistory from './run-history.mjs';
+import {
+  BUILTIN_SERVER_KEY,
+  getBuiltinStep,
+  isBuiltinStep,
+  runBuiltinStep,
+} from './builtin-steps.mjs';
+import { mapWithConcurrency } from './utils.mjs';
 import logger from '../logger.mjs';
 
 const CHAIN_RESULT = 'CHAIN_RESULT';
 
+// Retry/Catch中使用的错误名称（与Step Functions保持一致）
+const ERROR_NAMES = {
+  ALL: 'States.ALL',
+  TIMEOUT: 'States.Timeout',
+  TASK_FAILED: 'States.TaskFailed',
+};
+
+// Retry的默认参数
+const RETRY_DEFAULTS = {
+  maxAttempts: 3,
+  intervalMs: 1000,
+  backoffRate: 2,
+};
+
+// Loop步骤的默认参数
+const LOOP_DEFAULTS = {
+  maxIterations: 10,
+};
+
+// 步骤输出引用模板，例如 {{steps.fetch.output}} 或 {{steps.fetch.output.$.items[0]}}
+const STEP_TEMPLATE_PATTERN =
+  /\{\{\s*steps\.([A-Za-z0-9_-]+)\.output(?:\.(\$[^}]*?))?\s*\}\}/g;
+
+// 工具链输入、变量和循环状态引用模板，例如 {{input.repo}}、{{variables.limit}} 或 {{loop.cursor}}
+const CONTEXT_TEMPLATE_PATTERN =
+  /\{\{\s*(input|variables|loop)(?:\.([A-Za-z0-9_.-]+))?\s*\}\}/g;
+
+// 参数字符串中的所有占位符（CHAIN_RESULT、步骤输出引用模板或输入和变量引用模板）
+const PLACEHOLDER_PATTERN = new RegExp(
+  `${CHAIN_RESULT}|${STEP_TEMPLATE_PATTERN.source}|${CONTEXT_TEMPLATE_PATTERN.source}`,
+  'g'
+);
+
+// 完全由单个引用模板组成的字符串
+const WHOLE_TEMPLATE_PATTERN = new RegExp(
+  `^(?:${STEP_TEMPLATE_PATTERN.source}|${CONTEXT_TEMPLATE_PATTERN.source})$`
+);
+
+// 对变量的引用（模板或 $$ 开头的JSONPath），用于验证变量已定义
+const VARIABLE_REFERENCE_PATTERN =
+  /(?:\{\{\s*variables|\$\$\.variables)\.([A-Za-z0-9_-]+)/g;
+
+/**
+ * 判断JSONPath是否引用上下文对象（$$.input、$$.variables、$$.loop），而不是步骤数据
+ * @param {string} jsonPath - JSONPath表达式
+ * @returns {boolean} 是否以 $$ 开头
+ */
+const isContextPath = (jsonPath) => jsonPath.trim().startsWith('$$');
+
+/**
+ * 判断查询是否引用上下文对象（以 $$ 开头的JSONPath查询）
+ * @param {Object} query - 查询配置
+ * @returns {boolean} 是否引用上下文对象
+ */
+const isContextQuery = (query) =>
+  query.language === 'jsonpath' && isContextPath(query.expression);
+
+// 旧写法中未加引号的CHAIN_RESULT占位符
+const BARE_CHAIN_RESULT_PATTERN = new RegExp(
+  `(?<!["\\w])${CHAIN_RESULT}(?!["\\w])`,
+  'g'
+);
+
+// 解析旧写法时替换未加引号的CHAIN_RESULT，以区别于加了引号的占位符
+const BARE_CHAIN_RESULT = `\u0000${CHAIN_RESULT}`;
+
+/**
+ * 将文本解析为JSON，无法解析时保留原始文本
+ * @param {any} value - 要解析的值
+ * @returns {any} 解析后的值
+ */
+const parseJsonOrText = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * 将字符串值中的文本输出转换为参数值
+ * JSON对象或数组文本解析为对应的值，其他文本（包括数字、布尔值形式的文本）保持为字符串
+ * @param {any} value - 文本输出
+ * @returns {any} 参数值
+ */
+const parseStructuredText = (value) => {
+  const parsed = parseJsonOrText(value);
+  return parsed !== null && typeof parsed === 'object' ? parsed : value;
+};
+
+/**
+ * 创建Loop步骤的循环状态（{{loop.index}}、{{loop.cursor}}）
+ * 没有游标时不包含cursor属性，使 $$.loop.cursor 的isPresent判断为false
+ * @param {number} index - 从0开始的执行次数
+ * @param {any} [cursor] - 从上一次结果中提取的游标
+ * @returns {Object} 循环状态
+ */
+const createLoopState = (index, cursor) =>
+  cursor === undefined ? { index } : { index, cursor };
+
+/**
+ * 等待指定毫秒数，取消信号触发时提前结束
+ * @param {number} ms - 等待时间
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * 创建带错误码的错误（用于取消和超时）
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {Error} 错误对象
+ */
+const createCodedError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * 创建上下文的副本，其取消信号在原上下文的信号中止或调用abort时中止
+ * 用于在一项失败后中止同一步骤中其他正在进行的调用，而不影响工具链的其他部分
+ * @param {Object} context - 本次执行的上下文
+ * @returns {{context: Object, abort: Function, dispose: Function}} 子上下文、中止子上下文的函数和移除监听的函数
+ */
+const createChildContext = (context) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(context.signal.reason);
+
+  if (context.signal.aborted) {
+    onAbort();
+  } else {
+    context.signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    context: { ...context, signal: controller.signal },
+    abort: () =>
+      controller.abort(
+        createCodedError('同一步骤中的其他调用已失败，已取消', 'CANCELLED')
+      ),
+    dispose: () => context.signal.removeEventListener('abort', onAbort),
+  };
+};
+
+/**
+ * 检查JSONPath表达式能否编译
+ * jsonpath-plus对格式错误的路径很宽松，且只在遇到匹配项时才解析过滤表达式，
+ * 因此先检查整体结构，再在按路径构造的示例文档上执行一次，让过滤表达式被解析
+ * @param {string} path - JSONPath表达式
+ * @throws {Error} 如果表达式无效
+ */
+const checkJsonPath = (jsonPath) => {
+  if (typeof jsonPath !== 'string' || !jsonPath.trim().startsWith('$')) {
+    throw new Error('必须以 $ 开头');
+  }
+
+  // $$ 开头的路径在上下文对象上求值，语法与普通路径相同
+  const path = isContextPath(jsonPath) ? jsonPath.trim().slice(1) : jsonPath;
+
+  const pairs = { ']': '[', ')': '(' };
+  const stack = [];
+  let quote = null;
+  for (const char of path) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      stack.push(char);
+    } else if (pairs[char] && stack.pop() !== pairs[char]) {
+      throw new Error(`多余的 '${char}'`);
+    }
+  }
+  if (quote || stack.length > 0) {
+    throw new Error('括号或引号不匹配');
+  }
+
+  // 普通属性名构造为对象属性，其他片段（通配符、过滤、索引等）构造为单元素数组
+  const probe = JSONPath.toPathArray(path)
+    .slice(1)
+    .reduceRight(
+      (value, segment) =>
+        /^[A-Za-z_$][\w$-]*$/.test(segment) ? { [segment]: value } : [value],
+      {}
+    );
+  JSONPath({ path, json: probe, wrap: true, ignoreEvalErrors: true });
+};
+
 /**
  * 工具链执行器
  */
 class ChainExecutor {
   constructor() {
-    this.maxDepth = 10; // 最大递归深度
+    this.maxDepth = 10; // 最大递归深度（Chain步骤的嵌套层数）
+    this.maxTransitions = 1000; // 单次执行的最大步骤数，防止跳转形成死循环
   }
 
   /**
@@ -41,205 +261,1894 @@ class ChainExecutor {
     }
   }
 
+  /**
+   * 尽可能将工具结果解析为JSON数据
+   * @param {any} data - 工具结果
+   * @returns {any} 解析后的数据，无法解析时返回字符串
+   */
+  parseResult(data) {
+    if (typeof data !== 'string') {
+      return data;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      // 如果解析失败，尝试提取JSON部分
+      const jsonStart = data.indexOf('{');
+      if (jsonStart >= 0) {
+        return this.deepUnescape(data.substring(jsonStart));
+      }
+      return data;
+    }
+  }
+
   /**
    * 应用JSONPath提取数据
    * @param {any} data - 要处理的数据
    * @param {string} jsonPath - JSONPath表达式
+   * @param {Function} [onFallback] - 提取失败（返回原始数据）或没有匹配（返回空数组）时的回调，参数为 (jsonPath, reason)
+   * @param {Object} [context] - 本次执行的上下文，以 $$ 开头的路径在其input和variables上求值
    * @returns {any} 提取的数据
    */
-  applyJsonPath(data, jsonPath) {
+  applyJsonPath(data, jsonPath, onFallback, context) {
+    if (context && isContextPath(jsonPath)) {
+      return this.applyJsonPath(
+        this.getContextObject(context),
+        jsonPath.trim().slice(1),
+        onFallback
+      );
+    }
+
     try {
       // 如果数据是字符串，尝试解析为JSON
-      if (typeof data === 'string') {
-        try {
-          data = JSON.parse(data);
-        } catch (e) {
-          // 如果解析失败，尝试提取JSON部分
-          const jsonStart = data.indexOf('{');
-          if (jsonStart >= 0) {
-            data = data.substring(jsonStart);
-            data = this.deepUnescape(data);
-          }
-        }
-      }
+      data = this.parseResult(data);
 
       // 确保我们有一个有效的JSON对象
       const jsonData = typeof data === 'string' ? JSON.parse(data) : data;
 
       // 提取指定路径的数据
       const extracted = JSONPath({ path: jsonPath, json: jsonData });
+      if (extracted.length === 0) {
+        logger.debug(`JSONPath没有匹配的数据 ('${jsonPath}')`);
+        onFallback?.(jsonPath, '没有匹配的数据，结果为空数组');
+      }
 
       // 如果结果是只有一个元素的数组，返回该元素
       return extracted.length === 1 ? extracted[0] : extracted;
     } catch (error) {
       logger.warn(`JSONPath处理失败 ('${jsonPath}'): ${error.message}`);
+      onFallback?.(jsonPath, error.message);
       return data; // 返回原始数据
     }
   }
 
   /**
-   * 处理工具输入参数
-   * @param {string} toolArgs - 工具参数JSON字符串
-   * @param {any} chainResult - 链式结果
-   * @returns {Object} 处理后的参数对象
+   * 应用查询提取数据
+   * JSONPath查询失败时返回原始数据（与inputPath/outputPath一致），其他语言查询失败时抛出错误
+   * @param {any} data - 要处理的数据
+   * @param {Object} query - 查询配置（language、expression等）
+   * @param {Function} [onFallback] - JSONPath提取失败或没有匹配时的回调
+   * @param {Object} [context] - 本次执行的上下文
+   * @returns {any} 提取的数据
    */
-  processToolArgs(toolArgs, chainResult) {
-    if (chainResult === null || chainResult === undefined) {
-      return JSON.parse(toolArgs);
+  applyQuery(data, query, onFallback, context) {
+    if (query.language === 'jsonpath') {
+      return this.applyJsonPath(data, query.expression, onFallback, context);
+    }
+    return runQuery(data, query);
+  }
+
+  /**
+   * 获取步骤的输入或输出查询，inputPath/outputPath视为JSONPath查询
+   * @param {Object} step - 步骤配置
+   * @param {'input'|'output'} kind - 查询输入还是输出
+   * @returns {Object|null} 查询配置，未指定时返回null
+   */
+  getStepQuery(step, kind) {
+    const query = step[`${kind}Query`];
+    if (query) {
+      return query;
+    }
+    const jsonPath = step[`${kind}Path`];
+    return jsonPath ? { language: 'jsonpath', expression: jsonPath } : null;
+  }
+
+  /**
+   * 查找步骤调用的工具（内置步骤或下游MCP服务器的工具）
+   * @param {string} toolName - 工具名称
+   * @returns {{tool: Object, serverKey: string}|null} 工具定义及其所在的服务器
+   */
+  findStepTool(toolName) {
+    const builtin = getBuiltinStep(toolName);
+    if (builtin) {
+      return { tool: builtin, serverKey: BUILTIN_SERVER_KEY };
     }
 
-    let processedResult = chainResult;
+    const toolInfo = mcpClientManager.findTool(toolName);
+    return toolInfo
+      ? { tool: toolInfo.tool, serverKey: toolInfo.client.serverKey }
+      : null;
+  }
+
+  /**
+   * 获取 $$ 开头的JSONPath引用的上下文对象
+   * @param {Object} context - 本次执行的上下文
+   * @returns {{input: Object, variables: Object}} 工具链输入和变量
+   */
+  getContextObject(context) {
+    return {
+      input: context.input,
+      variables: context.variables,
+      loop: context.loop,
+    };
+  }
+
+  /**
+   * 将工具参数解析为对象
+   * 兼容JSON字符串写法，包括未加引号的CHAIN_RESULT占位符（如 {"xml": CHAIN_RESULT}）
+   * @param {string|Object} toolArgs - 工具参数对象或JSON字符串
+   * @returns {Object} 参数对象
+   */
+  parseToolArgs(toolArgs) {
+    if (typeof toolArgs !== 'string') {
+      return toolArgs;
+    }
 
-    // 判断结果是否为JSON
-    let isJson = false;
     try {
-      if (typeof processedResult !== 'string') {
-        JSON.stringify(processedResult);
-        isJson = true;
-      } else {
-        JSON.parse(processedResult);
-        isJson = true;
-      }
-    } catch (e) {
-      isJson = false;
-      // 如果不是JSON，转义字符串
-      if (typeof processedResult === 'string') {
-        processedResult = processedResult.replace(/"/g, '\\"');
+      return JSON.parse(toolArgs);
+    } catch (error) {
+      const quoted = toolArgs.replace(
+        BARE_CHAIN_RESULT_PATTERN,
+        JSON.stringify(BARE_CHAIN_RESULT)
+      );
+      if (quoted === toolArgs) {
+        throw error;
       }
+      return JSON.parse(quoted);
     }
+  }
+
+  /**
+   * 处理工具输入参数
+   * @param {string|Object} toolArgs - 工具参数对象或JSON字符串
+   * @param {any} chainResult - 链式结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、工具链输入等）
+   * @param {Function} [onFallback] - 步骤输出引用中的JSONPath提取失败或没有匹配时的回调
+   * @returns {Object} 处理后的参数对象
+   */
+  processToolArgs(toolArgs, chainResult, context, onFallback) {
+    return this.resolvePlaceholders(
+      this.parseToolArgs(toolArgs),
+      chainResult,
+      context,
+      onFallback
+    );
+  }
 
-    let finalArgs;
-    if (typeof processedResult === 'string') {
-      // 处理字符串替换
-      if (toolArgs.includes(`"${CHAIN_RESULT}"`)) {
-        // 如果CHAIN_RESULT在引号中，替换引号版本
-        finalArgs = toolArgs.replace(
-          `"${CHAIN_RESULT}"`,
-          `"${processedResult}"`
+  /**
+   * 构造步骤参数的静态视图，用于在执行前按inputSchema验证
+   * 包含占位符的值和parameters中的JSONPath只有在执行时才能确定，记录它们的位置（JSON Pointer）
+   * @param {Object} step - 步骤配置
+   * @returns {{args: any, dynamicPaths: string[]}} 静态参数及执行时才能确定的位置
+   */
+  getStaticArgs(step) {
+    const dynamicPaths = [];
+    const pointerOf = (parent, key) =>
+      `${parent}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+    const collect = (value, pointer) => {
+      if (typeof value === 'string') {
+        if (value.search(PLACEHOLDER_PATTERN) !== -1) {
+          dynamicPaths.push(pointer);
+        }
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) =>
+          collect(item, pointerOf(pointer, key))
         );
-      } else {
-        // 否则替换令牌
-        finalArgs = toolArgs.replace(CHAIN_RESULT, processedResult);
       }
-    } else {
-      // 这是一个原始值（数字、布尔值等），可以字符串化
-      finalArgs = toolArgs.replace(CHAIN_RESULT, String(processedResult));
+    };
+
+    const withParameters = (parameters, pointer) =>
+      Object.fromEntries(
+        Object.entries(parameters).map(([key, value]) => {
+          if (key.endsWith('.$') && typeof value === 'string') {
+            dynamicPaths.push(pointerOf(pointer, key.slice(0, -2)));
+            return [key.slice(0, -2), null];
+          }
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return [key, withParameters(value, pointerOf(pointer, key))];
+          }
+          collect(value, pointerOf(pointer, key));
+          return [key, value];
+        })
+      );
+
+    const args =
+      step.toolArgs === undefined ? {} : this.parseToolArgs(step.toolArgs);
+    collect(args, '');
+
+    if (!step.parameters) {
+      return { args, dynamicPaths };
+    }
+    return {
+      args: { ...args, ...withParameters(step.parameters, '') },
+      dynamicPaths,
+    };
+  }
+
+  /**
+   * 解析单个步骤输出引用
+   * @param {Map<string, any>} stepOutputs - 已完成步骤的输出（按步骤id索引）
+   * @param {string} stepId - 被引用的步骤id
+   * @param {string} [jsonPath] - 可选的JSONPath表达式
+   * @param {Function} [onFallback] - JSONPath提取失败或没有匹配时的回调
+   * @returns {any} 引用的值
+   */
+  resolveStepReference(stepOutputs, stepId, jsonPath, onFallback) {
+    if (!stepOutputs.has(stepId)) {
+      throw new Error(`引用的步骤尚未执行或不存在: ${stepId}`);
     }
 
-    return JSON.parse(finalArgs);
+    const output = stepOutputs.get(stepId);
+    return jsonPath ? this.applyJsonPath(output, jsonPath, onFallback) : output;
   }
 
   /**
-   * 执行工具链
-   * @param {Array} mcpPath - 工具链路径配置
-   * @returns {Object} 执行结果
+   * 解析单个工具链输入或变量引用
+   * @param {Object} source - 工具链输入或变量
+   * @param {string} [path] - 以点分隔的属性路径，未指定时引用整个对象
+   * @returns {any} 引用的值，不存在时为undefined
    */
-  async executeChain(mcpPath) {
-    let result = null;
+  resolveContextReference(source, path) {
+    return path
+      ? path.split('.').reduce((value, key) => value?.[key], source)
+      : source;
+  }
 
-    for (let i = 0; i < mcpPath.length; i++) {
-      const { toolName, toolArgs, inputPath, outputPath } = mcpPath[i];
+  /**
+   * 解析引用模板（步骤输出、工具链输入或变量）
+   * @param {Object} context - 本次执行的上下文（步骤输出、工具链输入等）
+   * @param {Array} groups - 模板的匹配分组 [stepId, jsonPath, scope, path]：
+   *   被引用的步骤id、步骤输出上的JSONPath表达式，或 'input'、'variables'、'loop' 及其上的属性路径
+   * @param {Function} [onFallback] - 步骤输出上的JSONPath提取失败或没有匹配时的回调
+   * @returns {any} 引用的值
+   */
+  resolveTemplate(context, [stepId, jsonPath, scope, path], onFallback) {
+    return stepId
+      ? this.resolveStepReference(
+          context.stepOutputs,
+          stepId,
+          jsonPath,
+          onFallback
+        )
+      : this.resolveContextReference(context[scope], path);
+  }
 
-      try {
-        // 处理输入路径（除第一步外，因为还没有结果）
-        let processedResult = result;
-        if (inputPath && i > 0 && result) {
-          processedResult = this.applyJsonPath(result, inputPath);
-
-          // 如果结果不是对象，字符串化它
-          if (typeof processedResult !== 'object' || processedResult === null) {
-            processedResult = processedResult;
-          } else {
-            processedResult = JSON.stringify(processedResult);
-          }
-        }
+  /**
+   * 递归替换参数中的占位符（CHAIN_RESULT、步骤输出引用模板和输入引用模板）
+   * 字符串完全由单个占位符组成时替换为对应的值本身：文本输出中的JSON对象或数组插入为解析后的值，
+   * 其他文本保持为字符串；JSONPath提取的值、工具链输入和变量保留原类型。
+   * 否则按文本拼接。没有链式结果时CHAIN_RESULT保持原样。
+   * @param {any} value - 已解析的工具参数
+   * @param {any} chainResult - 链式结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、工具链输入等）
+   * @param {Function} [onFallback] - 步骤输出引用中的JSONPath提取失败或没有匹配时的回调
+   * @returns {any} 替换后的参数
+   */
+  resolvePlaceholders(value, chainResult, context, onFallback) {
+    if (Array.isArray(value)) {
+      return value.map((item) =>
+        this.resolvePlaceholders(item, chainResult, context, onFallback)
+      );
+    }
 
-        // 确定要使用的工具参数
-        let finalArgs;
-        if (i === 0) {
-          // 第一个工具直接使用其参数
-          finalArgs = JSON.parse(toolArgs);
-        } else {
-          // 后续工具用处理后的结果替换CHAIN_RESULT
-          finalArgs = this.processToolArgs(toolArgs, processedResult);
-        }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.resolvePlaceholders(item, chainResult, context, onFallback),
+        ])
+      );
+    }
 
-        logger.info(`执行工具 ${i + 1}/${mcpPath.length}: ${toolName}`);
-        logger.debug(`工具参数:`, finalArgs);
+    if (typeof value !== 'string') {
+      return value;
+    }
 
-        // 调用工具
-        const toolResponse = await mcpClientManager.callTool(
-          toolName,
-          finalArgs
-        );
+    const hasChainResult = chainResult !== null && chainResult !== undefined;
+    const trimmed = value.trim();
 
-        // 更新当前结果
-        if (toolResponse.content && toolResponse.content.length > 0) {
-          result = toolResponse.content[0].text;
+    // 未加引号的CHAIN_RESULT按JSON插入，数字、布尔值形式的文本也插入为对应类型
+    if (value === BARE_CHAIN_RESULT) {
+      return hasChainResult ? parseJsonOrText(chainResult) : CHAIN_RESULT;
+    }
 
-          // 应用输出路径（如果指定）
-          if (outputPath) {
-            result = this.applyJsonPath(result, outputPath);
-            // 如果结果是原始值，字符串化它
-            result = JSON.stringify(result);
-          }
-        } else {
-          throw new Error(`工具 ${toolName} 返回空响应`);
+    if (trimmed === CHAIN_RESULT) {
+      return hasChainResult ? parseStructuredText(chainResult) : value;
+    }
+
+    const wholeMatch = WHOLE_TEMPLATE_PATTERN.exec(trimmed);
+    if (wholeMatch) {
+      const [, stepId, jsonPath] = wholeMatch;
+      const resolved = this.resolveTemplate(
+        context,
+        wholeMatch.slice(1),
+        onFallback
+      );
+      // 与CHAIN_RESULT相同，步骤输出的JSON对象或数组文本插入为解析后的值
+      return stepId && !jsonPath ? parseStructuredText(resolved) : resolved;
+    }
+
+    const toText = (resolved) =>
+      typeof resolved === 'string'
+        ? resolved
+        : (JSON.stringify(resolved) ?? '');
+
+    return value.replace(PLACEHOLDER_PATTERN, (match, ...groups) => {
+      if (match === CHAIN_RESULT) {
+        return hasChainResult ? toText(parseJsonOrText(chainResult)) : match;
+      }
+      return toText(
+        this.resolveTemplate(context, groups.slice(0, 4), onFallback)
+      );
+    });
+  }
+
+  /**
+   * 根据parameters模板构造工具参数
+   * 以 .$ 结尾的键的值是针对步骤输入的JSONPath表达式，其他值按原样使用（支持占位符）
+   * @param {Object} parameters - 参数模板
+   * @param {any} input - 步骤输入
+   * @param {Object} context - 本次执行的上下文（步骤输出、工具链输入等）
+   * @param {Function} [onFallback] - JSONPath提取失败或没有匹配时的回调
+   * @returns {Object} 构造出的参数对象
+   */
+  resolveParameters(parameters, input, context, onFallback) {
+    return Object.fromEntries(
+      Object.entries(parameters).map(([key, value]) => {
+        if (key.endsWith('.$') && typeof value === 'string') {
+          return [
+            key.slice(0, -2),
+            this.applyJsonPath(input, value, onFallback, context),
+          ];
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          return [
+            key,
+            this.resolveParameters(value, input, context, onFallback),
+          ];
         }
+        return [
+          key,
+          this.resolvePlaceholders(value, input, context, onFallback),
+        ];
+      })
+    );
+  }
 
-        logger.debug(`工具 ${toolName} 执行成功`);
-      } catch (error) {
-        logger.error(
-          `工具链执行失败在步骤 ${i + 1} (${toolName}): ${error.message}`
-        );
-        throw error;
+  /**
+   * 按resultPath将步骤输出合并到步骤输入（状态文档）中
+   * resultPath未指定或为 '$' 时输出替换输入，为null时丢弃输出、输入原样传递
+   * @param {any} input - 步骤的原始输入
+   * @param {string|null|undefined} resultPath - 结果路径，例如 '$.page.summary'
+   * @param {any} output - 步骤输出
+   * @returns {any} 传递给下一个步骤的结果
+   */
+  applyResultPath(input, resultPath, output) {
+    if (resultPath === null) {
+      return input;
+    }
+    if (resultPath === undefined || resultPath === '$') {
+      return output;
+    }
+
+    // 输入不是JSON对象时（例如第一个步骤或纯文本结果）从空状态开始
+    const parsedInput = parseJsonOrText(input);
+    const state =
+      parsedInput &&
+      typeof parsedInput === 'object' &&
+      !Array.isArray(parsedInput)
+        ? parsedInput
+        : {};
+
+    const keys = JSONPath.toPathArray(resultPath).slice(1);
+    let target = state;
+    for (const key of keys.slice(0, -1)) {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = parseJsonOrText(output);
+
+    return JSON.stringify(state);
+  }
+
+  /**
+   * 应用步骤的输入路径，得到此步骤实际使用的输入
+   * @param {Object} step - 步骤配置
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文
+   * @param {Function} [onFallback] - JSONPath提取失败或没有匹配时的回调
+   * @returns {any} 处理后的输入
+   */
+  resolveStepInput(step, result, context, onFallback) {
+    // 处理输入路径或查询（还没有结果时跳过，引用上下文对象的路径除外）
+    let processedResult = result;
+    const query = this.getStepQuery(step, 'input');
+    if (query && (result || isContextQuery(query))) {
+      processedResult = this.applyQuery(result, query, onFallback, context);
+
+      // 如果结果不是对象，字符串化它
+      if (typeof processedResult !== 'object' || processedResult === null) {
+        processedResult = processedResult;
+      } else {
+        processedResult = JSON.stringify(processedResult);
       }
     }
+    return processedResult;
+  }
+
+  /**
+   * 执行单个Task步骤（调用工具）
+   * @param {Object} step - 步骤配置
+   * @param {number} index - 步骤索引
+   * @param {number} total - 步骤总数
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<any>} 此步骤的结果
+   */
+  async executeTaskStep(step, index, total, result, context) {
+    if (!context.trace) {
+      return this.runTaskStep(step, index, total, result, context);
+    }
+
+    // 跟踪模式下记录每次工具调用的详细信息
+    const traceEntry = {
+      step: step.id || index + 1,
+      toolName: step.toolName,
+      server: this.findStepTool(step.toolName)?.serverKey ?? null,
+      args: null,
+      durationMs: null,
+      outputBytes: null,
+      jsonPathFallbacks: [],
+    };
+    context.trace.push(traceEntry);
+
+    const startedAt = Date.now();
+    try {
+      const output = await this.runTaskStep(
+        step,
+        index,
+        total,
+        result,
+        context,
+        traceEntry
+      );
+      traceEntry.outputBytes = Buffer.byteLength(String(output));
+      return output;
+    } catch (error) {
+      traceEntry.error = error.message;
+      throw error;
+    } finally {
+      traceEntry.durationMs = Date.now() - startedAt;
+    }
+  }
+
+  /**
+   * 由步骤的toolArgs和parameters构造参数
+   * @param {Object} step - 步骤配置
+   * @param {any} processedResult - 步骤输入（应用inputPath后）
+   * @param {Object} context - 本次执行的上下文
+   * @param {Function} [onFallback] - JSONPath提取失败或没有匹配时的回调
+   * @returns {Object} 参数
+   */
+  resolveStepArgs(step, processedResult, context, onFallback) {
+    // 用处理后的结果替换CHAIN_RESULT，并替换对之前步骤输出的引用
+    const args =
+      step.toolArgs === undefined
+        ? {}
+        : this.processToolArgs(
+            step.toolArgs,
+            processedResult,
+            context,
+            onFallback
+          );
 
+    // parameters构造的参数覆盖toolArgs中的同名参数
+    if (!step.parameters) {
+      return args;
+    }
     return {
-      content: [
-        {
-          type: 'text',
-          text: result,
-        },
-      ],
+      ...args,
+      ...this.resolveParameters(
+        step.parameters,
+        processedResult,
+        context,
+        onFallback
+      ),
     };
   }
 
   /**
-   * 验证工具链配置
-   * @param {Array} mcpPath - 工具链路径配置
-   * @throws {Error} 如果配置无效
+   * 解析Task步骤的参数并调用工具
+   * @param {Object} step - 步骤配置
+   * @param {number} index - 步骤索引
+   * @param {number} total - 步骤总数
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @param {Object} [traceEntry] - 跟踪模式下此次调用的跟踪记录
+   * @returns {Promise<any>} 此步骤的结果
    */
-  validateChainConfig(mcpPath) {
-    if (!Array.isArray(mcpPath) || mcpPath.length === 0) {
-      throw new Error('工具链路径不能为空');
+  async runTaskStep(step, index, total, result, context, traceEntry) {
+    const { toolName, toolArgs } = step;
+    const onFallback =
+      traceEntry &&
+      ((jsonPath, reason) =>
+        traceEntry.jsonPathFallbacks.push({ jsonPath, error: reason }));
+    const processedResult = this.resolveStepInput(
+      step,
+      result,
+      context,
+      onFallback
+    );
+
+    const finalArgs = this.resolveStepArgs(
+      step,
+      processedResult,
+      context,
+      onFallback
+    );
+
+    if (traceEntry) {
+      traceEntry.args = finalArgs;
     }
 
-    for (let i = 0; i < mcpPath.length; i++) {
-      const step = mcpPath[i];
+    // 占位符替换后的参数在执行时才能完整验证
+    const stepTool = this.findStepTool(toolName);
+    const argErrors = validateToolArgs(stepTool?.tool.inputSchema, finalArgs);
+    if (argErrors.length > 0) {
+      throw createCodedError(
+        `步骤 ${
+          step.id || index + 1
+        } 的参数不符合工具 ${toolName} 的inputSchema: ${argErrors.join('; ')}`,
+        'INVALID_ARGS'
+      );
+    }
 
-      if (!step.toolName) {
-        throw new Error(`步骤 ${i + 1} 缺少工具名称`);
-      }
+    logger.info(`执行工具 ${index + 1}/${total}: ${toolName}`);
+    logger.debug(`工具参数:`, finalArgs);
 
-      if (!step.toolArgs) {
-        throw new Error(`步骤 ${i + 1} 缺少工具参数`);
+    // 调用工具（内置步骤在本地执行，以步骤输入作为默认数据）
+    const toolResponse = isBuiltinStep(toolName)
+      ? runBuiltinStep(toolName, finalArgs, parseJsonOrText(processedResult))
+      : await mcpClientManager.callTool(toolName, finalArgs, {
+          timeoutMs: step.timeoutMs,
+          signal: context.signal,
+          noCache: step.noCache,
+        });
+
+    let output = this.extractToolOutput(toolResponse, toolName);
+
+    // 工具级错误（isError）视为步骤失败，除非步骤允许继续执行
+    if (toolResponse.isError) {
+      const serverKey = stepTool?.serverKey;
+      const message = `步骤 ${
+        step.id || index + 1
+      } 的工具 ${toolName}（服务器 ${serverKey}）返回错误: ${output}`;
+
+      if (!step.continueOnError) {
+        const error = createCodedError(message, 'TOOL_ERROR');
+        error.step = step.id || index + 1;
+        error.serverKey = serverKey;
+        throw error;
       }
+      logger.warn(`${message}，按continueOnError继续执行`);
+    }
 
-      // 验证工具参数是有效的JSON
+    // 按输出格式将文本解析为结构化数据（错误结果保持原样）；
+    // 工具已返回structuredContent时输出本身就是结构化数据，不再解析
+    const hasStructuredContent =
+      toolResponse.structuredContent !== undefined &&
+      toolResponse.structuredContent !== null;
+    const outputFormat =
+      toolResponse.isError || hasStructuredContent
+        ? undefined
+        : step.outputFormat;
+    if (step.outputFormat && hasStructuredContent) {
+      logger.debug(
+        `工具 ${toolName} 返回了structuredContent，忽略outputFormat ${step.outputFormat}`
+      );
+    }
+    if (outputFormat) {
       try {
-        JSON.parse(step.toolArgs);
+        output = JSON.stringify(parseOutput(output, outputFormat));
       } catch (error) {
         throw new Error(
-          `步骤 ${i + 1} 的工具参数不是有效的JSON: ${error.message}`
+          `步骤 ${step.id || index + 1} 的工具 ${toolName} 的输出无法按 ${
+            step.outputFormat
+          } 格式解析: ${error.message}`
         );
       }
+    }
+
+    // 应用输出路径或查询（如果指定）
+    const outputQuery = this.getStepQuery(step, 'output');
+    if (outputQuery) {
+      output = this.applyQuery(output, outputQuery, onFallback, context);
+      // 如果结果是原始值，字符串化它
+      output = JSON.stringify(output);
+    } else if (!outputFormat) {
+      // 记录未经处理的原始内容，工具链以此结果结束时原样返回（包括非文本内容）
+      context.lastContent = { output, content: toolResponse.content };
+    }
+
+    // 按continueOnError继续执行的工具错误，工具链以此结果结束时在响应中标记isError
+    context.lastToolError = toolResponse.isError ? output : null;
+
+    logger.debug(`工具 ${toolName} 执行成功`);
+    return output;
+  }
+
+  /**
+   * 从工具响应中提取传递给下一个步骤的结果
+   * 优先使用structuredContent；只有文本块时合并所有文本；
+   * 包含图片、音频、资源等非文本块时传递完整的内容数组，以便通过inputPath选择
+   * @param {Object} toolResponse - 工具调用结果
+   * @param {string} toolName - 工具名称
+   * @returns {string} 结果文本或JSON字符串
+   */
+  extractToolOutput(toolResponse, toolName) {
+    const { content = [], structuredContent } = toolResponse;
+
+    if (structuredContent !== undefined && structuredContent !== null) {
+      return JSON.stringify(structuredContent);
+    }
+
+    if (content.length === 0) {
+      throw new Error(`工具 ${toolName} 返回空响应`);
+    }
+
+    if (content.every((block) => block.type === 'text')) {
+      return content.map((block) => block.text).join('\n');
+    }
+
+    return JSON.stringify(content);
+  }
+
+  /**
+   * 评估Choice步骤，决定下一个要执行的步骤
+   * @param {Object} step - Choice步骤配置
+   * @param {any} result - 当前结果
+   * @param {Object} context - 本次执行的上下文（工具链输入和变量用于 $$ 开头的变量）
+   * @returns {{next?: string, end?: boolean}} 跳转目标
+   */
+  evaluateChoiceStep(step, result, context) {
+    const input = this.parseResult(
+      this.resolveStepInput(step, result, context)
+    );
+    const contextObject = this.getContextObject(context);
+
+    const matched = step.choices.find((rule) =>
+      evaluateCondition(rule, input, contextObject)
+    );
+    if (matched) {
+      logger.info(
+        `Choice步骤${step.id ? ` ${step.id}` : ''}命中规则，${
+          matched.end ? '结束工具链' : `跳转到 ${matched.next}`
+        }`
+      );
+      return { next: matched.next, end: matched.end };
+    }
+
+    if (step.default) {
+      logger.info(`Choice步骤没有命中规则，跳转到默认步骤 ${step.default}`);
+      return { next: step.default };
+    }
+
+    return {};
+  }
+
+  /**
+   * 执行Parallel步骤：并发运行所有分支子链并合并结果
+   * 所有分支都设置了name时合并为以name为键的对象，否则合并为数组
+   * @param {Object} step - Parallel步骤配置
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<string>} 合并后的结果（JSON字符串）
+   */
+  async executeParallelStep(step, result, context) {
+    const input = this.resolveStepInput(step, result, context);
+
+    logger.info(`并发执行 ${step.branches.length} 个分支`);
+
+    // 每个分支以此步骤的输入作为初始结果；任一分支失败后中止其他分支，
+    // 全部结束后步骤才失败，避免其他分支在步骤失败后继续调用工具、写入步骤输出
+    const child = createChildContext(context);
+    let failure = null;
+    const settled = await Promise.allSettled(
+      step.branches.map((branch) =>
+        this.runSteps(branch.mcpPath, input, child.context).catch((error) => {
+          if (!failure) {
+            failure = { error };
+            child.abort();
+          }
+          throw error;
+        })
+      )
+    );
+    child.dispose();
+
+    // 抛出第一个失败分支的错误，而不是其他分支被中止的错误
+    if (failure) {
+      throw failure.error;
+    }
+    const branchResults = settled.map(({ value }) => value);
+    const values = branchResults.map(parseJsonOrText);
+
+    let merged = step.branches.every((branch) => branch.name)
+      ? Object.fromEntries(
+          step.branches.map((branch, index) => [branch.name, values[index]])
+        )
+      : values;
+
+    // 应用输出路径或查询（如果指定）
+    const outputQuery = this.getStepQuery(step, 'output');
+    if (outputQuery) {
+      merged = this.applyQuery(merged, outputQuery, undefined, context);
+    }
+
+    return JSON.stringify(merged);
+  }
+
+  /**
+   * 执行Map步骤：对输入数组的每一项调用一次工具并收集结果
+   * 每次调用中CHAIN_RESULT绑定为当前项，outputPath作用于每次调用的结果
+   * @param {Object} step - Map步骤配置
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<string>} 所有调用结果组成的数组（JSON字符串）
+   */
+  async executeMapStep(step, result, context) {
+    let items;
+    const inputQuery = this.getStepQuery(step, 'input');
+    if (inputQuery && (result || isContextQuery(inputQuery))) {
+      // 只匹配到一项时查询会返回该项本身，这里统一为数组
+      items = this.applyQuery(result, inputQuery, undefined, context);
+      items = Array.isArray(items) ? items : [items];
+    } else {
+      items = this.parseResult(result);
+    }
+
+    if (!Array.isArray(items)) {
+      throw new Error('Map步骤的输入不是数组，请通过inputPath选择一个数组');
+    }
+
+    logger.info(
+      `Map步骤对 ${items.length} 项调用工具 ${step.toolName}（最大并发数: ${
+        step.maxConcurrency || '不限'
+      }）`
+    );
+
+    const iteration = {
+      id: step.id,
+      toolName: step.toolName,
+      toolArgs: step.toolArgs,
+      parameters: step.parameters,
+      outputPath: step.outputPath,
+      outputQuery: step.outputQuery,
+      outputFormat: step.outputFormat,
+      timeoutMs: step.timeoutMs,
+      continueOnError: step.continueOnError,
+      noCache: step.noCache,
+    };
+    // 任一项失败后中止其他正在进行的调用，全部结束后步骤才失败，避免与重试同时调用工具
+    const child = createChildContext(context);
+    let outputs;
+    try {
+      outputs = await mapWithConcurrency(
+        items,
+        step.maxConcurrency,
+        (item, index) =>
+          this.executeTaskStep(
+            iteration,
+            index,
+            items.length,
+            // 对象类型的项按JSON传递，与inputPath的处理方式保持一致
+            item !== null && typeof item === 'object'
+              ? JSON.stringify(item)
+              : item,
+            child.context
+          ),
+        child.abort
+      );
+    } finally {
+      child.dispose();
+    }
+
+    return JSON.stringify(outputs.map(parseJsonOrText));
+  }
+
+  /**
+   * 执行Loop步骤：重复调用工具（或执行子链），直到while条件不成立或达到最大执行次数
+   * 每次的CHAIN_RESULT都是此步骤的输入，从上一次结果中提取的游标通过 {{loop.cursor}} 传递给下一次
+   * @param {Object} step - Loop步骤配置
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<string>} 收集的结果（JSON字符串）
+   */
+  async executeLoopStep(step, result, context) {
+    const input = this.resolveStepInput(step, result, context);
+    const maxIterations = step.maxIterations ?? LOOP_DEFAULTS.maxIterations;
+    const iteration = step.mcpPath
+      ? null
+      : {
+          id: step.id,
+          toolName: step.toolName,
+          toolArgs: step.toolArgs,
+          parameters: step.parameters,
+          timeoutMs: step.timeoutMs,
+          continueOnError: step.continueOnError,
+          outputFormat: step.outputFormat,
+          noCache: step.noCache,
+        };
+
+    const collected = [];
+    let cursor;
+    let finished = false;
+
+    for (let index = 0; index < maxIterations && !finished; index++) {
+      if (context.signal.aborted) {
+        throw context.signal.reason;
+      }
+
+      // 每次执行使用独立的循环状态，嵌套的Loop步骤互不影响
+      const loopContext = { ...context, loop: createLoopState(index, cursor) };
+      const output = parseJsonOrText(
+        iteration
+          ? await this.executeTaskStep(
+              iteration,
+              index,
+              maxIterations,
+              input,
+              loopContext
+            )
+          : await this.runSteps(step.mcpPath, input, loopContext)
+      );
+
+      if (step.itemsPath) {
+        // 只匹配到一项时JSONPath会返回该项本身，这里统一为数组
+        const items = this.applyJsonPath(
+          output,
+          step.itemsPath,
+          undefined,
+          loopContext
+        );
+        collected.push(...(Array.isArray(items) ? items : [items]));
+      } else {
+        collected.push(output);
+      }
+
+      if (step.cursorPath) {
+        cursor = this.applyJsonPath(
+          output,
+          step.cursorPath,
+          undefined,
+          loopContext
+        );
+        // 没有匹配（JSONPath返回空数组）或为null时视为没有游标
+        if (cursor === null || (Array.isArray(cursor) && cursor.length === 0)) {
+          cursor = undefined;
+        }
+      }
+
+      // while条件中的 $$.loop.cursor 为本次结果中提取的游标
+      loopContext.loop = createLoopState(index, cursor);
+      finished = !evaluateCondition(
+        step.while,
+        output,
+        this.getContextObject(loopContext)
+      );
+      logger.info(
+        `Loop步骤第 ${index + 1} 次执行完成${finished ? '，条件不成立，结束循环' : ''}`
+      );
+    }
+
+    if (!finished) {
+      logger.warn(`Loop步骤达到最大执行次数 (${maxIterations})，停止执行`);
+    }
+
+    // 应用输出路径或查询（如果指定）
+    let merged = collected;
+    const outputQuery = this.getStepQuery(step, 'output');
+    if (outputQuery) {
+      merged = this.applyQuery(merged, outputQuery, undefined, context);
+    }
+
+    return JSON.stringify(merged);
+  }
+
+  /**
+   * 执行Chain步骤：以此步骤的输入作为初始结果，执行内联子链或已保存的工具链
+   * 提供toolArgs或parameters时由它们构造子链的input；否则内联子链沿用当前工具链的input，
+   * 已保存的工具链使用空input。已保存的工具链使用自己的变量和步骤id
+   * @param {Object} step - Chain步骤配置
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<any>} 子链的结果（应用outputPath后）
+   */
+  async executeChainStep(step, result, context) {
+    const depth = (context.depth ?? 0) + 1;
+    if (depth > this.maxDepth) {
+      throw new Error(
+        `工具链嵌套深度超过上限 (${this.maxDepth})，请检查是否递归引用了工具链`
+      );
+    }
+
+    const input = this.resolveStepInput(step, result, context);
+    const args =
+      step.toolArgs !== undefined || step.parameters !== undefined
+        ? this.resolveStepArgs(step, input, context)
+        : null;
+
+    let { mcpPath } = step;
+    let childContext = { ...context, depth, ...(args && { input: args }) };
+
+    if (step.chainName) {
+      const chain = chainLibrary.getChain(step.chainName);
+      if (!chain) {
+        throw new Error(`工具链不存在: ${step.chainName}`);
+      }
+
+      const { args: chainInput, errors: argErrors } = applyInputDefaults(
+        chain.inputSchema,
+        args ?? {}
+      );
+      if (argErrors.length > 0) {
+        throw createCodedError(
+          `Chain步骤的参数不符合工具链 ${step.chainName} 的inputSchema: ${argErrors.join('; ')}`,
+          'INVALID_ARGS'
+        );
+      }
+      this.validateChainConfig(chain.mcpPath, { variables: chain.variables });
+
+      mcpPath = chain.mcpPath;
+      childContext = {
+        ...childContext,
+        input: chainInput,
+        variables: chain.variables ?? {},
+        stepOutputs: new Map(),
+      };
+    }
+
+    logger.info(
+      `执行${step.chainName ? `工具链 ${step.chainName}` : '子链'}（嵌套深度 ${depth}）`
+    );
+    let output = await this.runSteps(mcpPath, input, childContext);
+    // 子链的结果就是其最后一次工具调用的原始输出时，保留完整内容
+    context.lastContent = childContext.lastContent;
+    context.lastToolError = childContext.lastToolError;
+
+    // 应用输出路径或查询（如果指定）
+    const outputQuery = this.getStepQuery(step, 'output');
+    if (outputQuery) {
+      output = this.applyQuery(
+        parseJsonOrText(output),
+        outputQuery,
+        undefined,
+        context
+      );
+    }
+
+    return typeof output === 'string' ? output : JSON.stringify(output);
+  }
+
+  /**
+   * 获取错误在Retry/Catch中使用的名称
+   * @param {Error} error - 错误对象
+   * @returns {string} 错误名称
+   */
+  getErrorName(error) {
+    return error.code === 'TIMEOUT'
+      ? ERROR_NAMES.TIMEOUT
+      : ERROR_NAMES.TASK_FAILED;
+  }
+
+  /**
+   * 查找第一个匹配错误的Retry或Catch规则
+   * errorEquals中的每一项可以是 States.ALL、错误名称或错误信息中包含的文本
+   * @param {Array} [handlers] - Retry或Catch规则列表
+   * @param {Error} error - 错误对象
+   * @returns {Object|undefined} 匹配的规则
+   */
+  findErrorHandler(handlers, error) {
+    const errorName = this.getErrorName(error);
+
+    return (handlers || []).find((handler) =>
+      (handler.errorEquals || [ERROR_NAMES.ALL]).some(
+        (pattern) =>
+          pattern === ERROR_NAMES.ALL ||
+          pattern === errorName ||
+          error.message.includes(pattern)
+      )
+    );
+  }
+
+  /**
+   * 按步骤的Retry规则执行，失败时以指数退避重试
+   * @param {Object} step - 步骤配置
+   * @param {Function} run - 执行步骤的函数
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<any>} 步骤结果
+   */
+  async executeWithRetry(step, run, context) {
+    // 每条Retry规则独立计数
+    const attempts = new Map();
+
+    for (;;) {
+      try {
+        return await run();
+      } catch (error) {
+        // 工具链已被取消或超过截止时间时不再重试
+        const retrier =
+          !context.signal.aborted && this.findErrorHandler(step.retry, error);
+        if (!retrier) {
+          throw error;
+        }
+
+        const { maxAttempts, intervalMs, backoffRate } = {
+          ...RETRY_DEFAULTS,
+          ...retrier,
+        };
+        const attempt = (attempts.get(retrier) || 0) + 1;
+        if (attempt > maxAttempts) {
+          throw error;
+        }
+        attempts.set(retrier, attempt);
+
+        let delay = intervalMs * Math.pow(backoffRate, attempt - 1);
+        if (retrier.maxDelayMs !== undefined) {
+          delay = Math.min(delay, retrier.maxDelayMs);
+        }
+        if (retrier.jitter) {
+          delay = Math.random() * delay;
+        }
+
+        logger.warn(
+          `步骤${step.id ? ` ${step.id}` : ''}执行失败，${Math.round(
+            delay
+          )}ms 后进行第 ${attempt}/${maxAttempts} 次重试: ${error.message}`
+        );
+        await sleep(delay, context.signal);
+      }
+    }
+  }
+
+  /**
+   * 执行单个非Choice步骤
+   * @param {Object} step - 步骤配置
+   * @param {number} index - 步骤索引
+   * @param {number} total - 步骤总数
+   * @param {any} result - 上一个步骤的结果
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @returns {Promise<any>} 此步骤的结果
+   */
+  async executeStep(step, index, total, result, context) {
+    switch (step.type) {
+      case 'Parallel':
+        return this.executeParallelStep(step, result, context);
+      case 'Map':
+        return this.executeMapStep(step, result, context);
+      case 'Loop':
+        return this.executeLoopStep(step, result, context);
+      case 'Chain':
+        return this.executeChainStep(step, result, context);
+      default:
+        return this.executeTaskStep(step, index, total, result, context);
+    }
+  }
+
+  /**
+   * 按顺序（或按跳转）执行一组步骤
+   * @param {Array} mcpPath - 步骤配置列表
+   * @param {any} initialResult - 初始结果（传递给第一个步骤的CHAIN_RESULT）
+   * @param {Object} context - 本次执行的上下文（步骤输出、取消信号等）
+   * @param {Object} [options] - 执行选项
+   * @param {number} [options.startIndex] - 开始执行的步骤序号，默认为0
+   * @param {Function} [options.onCheckpoint] - 每个步骤完成后调用，参数为 (下一个步骤的序号, 结果)
+   * @param {Function} [options.onStepEnd] - 每个步骤结束（包括失败）时调用，参数为 {index, durationMs, error, caught}
+   * @returns {Promise<any>} 最后一个步骤的结果
+   */
+  async runSteps(mcpPath, initialResult, context, options = {}) {
+    let result = initialResult;
+    const stepIndexes = new Map(
+      mcpPath.map((step, index) => [step.id, index]).filter(([id]) => id)
+    );
+
+    let transitions = 0;
+    let i = options.startIndex ?? 0;
+    while (i < mcpPath.length) {
+      if (++transitions > this.maxTransitions) {
+        throw new Error(
+          `工具链执行步骤数超过上限 (${this.maxTransitions})，请检查步骤跳转是否形成死循环`
+        );
+      }
+
+      if (context.signal.aborted) {
+        throw context.signal.reason;
+      }
+
+      const step = mcpPath[i];
+      const startedAt = Date.now();
+      let transition;
+      let stepError = null;
+
+      try {
+        if (step.type === 'Choice') {
+          transition = this.evaluateChoiceStep(step, result, context);
+          context.trace?.push({
+            step: step.id || i + 1,
+            type: 'Choice',
+            next: transition.next ?? null,
+            end: Boolean(transition.end),
+          });
+        } else {
+          let output = await this.executeWithRetry(
+            step,
+            () => this.executeStep(step, i, mcpPath.length, result, context),
+            context
+          );
+          transition = step;
+
+          // 超出outputLimit的输出截断或溢出到文件/资源后再传递给后续步骤
+          if (step.outputLimit) {
+            output = outputStore.limit(output, step.outputLimit);
+          }
+
+          if (step.id) {
+            context.stepOutputs.set(step.id, output);
+          }
+
+          // 按resultPath将输出合并到此步骤的输入中
+          result = this.applyResultPath(result, step.resultPath, output);
+        }
+      } catch (error) {
+        stepError = error;
+        const catcher =
+          !context.signal.aborted && this.findErrorHandler(step.catch, error);
+        if (!catcher) {
+          logger.error(
+            `工具链执行失败在步骤 ${i + 1} (${step.toolName || step.type}): ${
+              error.message
+            }`
+          );
+          options.onStepEnd?.({
+            index: i,
+            durationMs: Date.now() - startedAt,
+            error,
+            caught: false,
+          });
+          throw error;
+        }
+
+        logger.warn(
+          `步骤 ${i + 1} (${step.toolName || step.type}) 执行失败，转到 ${
+            catcher.next
+          }: ${error.message}`
+        );
+
+        // 按需将错误信息作为CHAIN_RESULT传递给后备步骤，否则保留此步骤的输入
+        if (catcher.includeError) {
+          result = JSON.stringify({
+            error: this.getErrorName(error),
+            cause: error.message,
+            step: step.id || i + 1,
+            server: error.serverKey,
+          });
+        }
+        transition = { next: catcher.next };
+      }
+
+      options.onStepEnd?.({
+        index: i,
+        durationMs: Date.now() - startedAt,
+        error: stepError,
+        caught: stepError !== null,
+      });
+
+      if (transition.end) {
+        break;
+      }
+
+      if (transition.next) {
+        if (!stepIndexes.has(transition.next)) {
+          throw new Error(`跳转目标步骤不存在: ${transition.next}`);
+        }
+        i = stepIndexes.get(transition.next);
+      } else {
+        i++;
+      }
+
+      options.onCheckpoint?.(i, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * 执行工具链
+   * @param {Array} mcpPath - 工具链路径配置
+   * @param {Object} [options] - 执行选项
+   * @param {number} [options.deadlineMs] - 整个工具链的最长执行时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 外部取消信号
+   * @param {boolean} [options.trace] - 是否记录每个步骤的执行跟踪
+   * @param {Object} [options.input] - 工具链输入，通过 {{input.<name>}} 或 $$.input 引用
+   * @param {Object} [options.variables] - 工具链变量，通过 {{variables.<name>}} 或 $$.variables 引用
+   * @param {Object} [options.outputLimit] - 最终结果的大小限制
+   * @param {Object} [options.resume] - 要继续的运行状态，从其检查点开始执行
+   * @param {string} [options.runId] - 新运行使用的运行ID，默认自动生成
+   * @param {Function} [options.onProgress] - 每个顶层步骤完成后调用，参数为 {completedSteps, nextStep, totalSteps}
+   * @param {string} [options.chainName] - 已保存工具链的名称，记录在运行历史中
+   * @returns {Object} 执行结果，最后一个工具调用返回了错误时包含isError，跟踪模式下包含trace
+   * @throws {Error} 执行失败时抛出，错误的runId为可以继续的运行ID
+   */
+  async executeChain(mcpPath, options = {}) {
+    // 取消或超过截止时间时中止所有正在进行的工具调用
+    const controller = new AbortController();
+    const onExternalAbort = () =>
+      controller.abort(createCodedError('工具链已被取消', 'CANCELLED'));
+
+    if (options.signal?.aborted) {
+      onExternalAbort();
+    } else {
+      options.signal?.addEventListener('abort', onExternalAbort, {
+        once: true,
+      });
+    }
+
+    const deadlineTimer = options.deadlineMs
+      ? setTimeout(
+          () =>
+            controller.abort(
+              createCodedError(
+                `工具链执行超过截止时间 (${options.deadlineMs}ms)`,
+                'TIMEOUT'
+              )
+            ),
+          options.deadlineMs
+        )
+      : null;
+
+    // 每个顶层步骤完成后保存运行状态，失败时可以从失败的步骤继续
+    const run = options.resume
+      ? runStore.resumeRun(options.resume, mcpPath)
+      : runStore.createRun(mcpPath, options);
+    const { checkpoint } = run;
+    let completedSteps = 0;
+
+    // 运行结束时记录到运行历史
+    const history = {
+      runId: run.runId,
+      attempt: run.attempts,
+      chainName: run.chainName,
+      mcpPath,
+      startedAt: new Date(),
+      steps: [],
+    };
+
+    const context = {
+      // 记录每个带id步骤的输出，供后续步骤通过模板引用
+      stepOutputs: new Map(Object.entries(checkpoint.stepOutputs)),
+      // 工具链输入（例如已保存工具链的调用参数）和变量
+      input: options.input ?? {},
+      variables: options.variables ?? {},
+      signal: controller.signal,
+      // 最近一次未经outputPath处理的工具调用内容
+      lastContent: null,
+      // 最近一次按continueOnError继续执行的工具错误结果
+      lastToolError: null,
+      // 跟踪模式下按执行顺序记录的步骤信息
+      trace: options.trace ? [] : null,
+    };
+
+    try {
+      let result = await this.runSteps(mcpPath, checkpoint.result, context, {
+        startIndex: checkpoint.index,
+        onCheckpoint: (index, stepResult) => {
+          runStore.checkpoint(run, index, stepResult, context.stepOutputs);
+          options.onProgress?.({
+            completedSteps: ++completedSteps,
+            nextStep: index + 1,
+            totalSteps: mcpPath.length,
+          });
+        },
+        onStepEnd: ({ index, durationMs, error, caught }) =>
+          history.steps.push(
+            this.describeStepRun(
+              mcpPath[index],
+              index,
+              durationMs,
+              error,
+              caught
+            )
+          ),
+      });
+
+      // 最后一个工具调用返回了错误且未经其他步骤处理时，工具链同样以错误结束
+      const isError =
+        context.lastToolError !== null && context.lastToolError === result;
+
+      // 超出outputLimit的最终结果截断或溢出到文件/资源
+      if (options.outputLimit && result !== null && result !== undefined) {
+        result = outputStore.limit(
+          typeof result === 'string' ? result : JSON.stringify(result),
+          options.outputLimit
+        );
+      }
+
+      // 结果就是最后一次工具调用的原始输出时，返回其完整内容（包括非文本内容）
+      const content =
+        context.lastContent && context.lastContent.output === result
+          ? context.lastContent.content
+          : [
+              {
+                type: 'text',
+                text:
+                  typeof result === 'string' ? result : JSON.stringify(result),
+              },
+            ];
+
+      runStore.completeRun(run);
+      runHistory.record({ ...history, output: result });
+      return {
+        content,
+        ...(isError && { isError }),
+        ...(context.trace && { trace: context.trace }),
+      };
+    } catch (error) {
+      runStore.failRun(run, error, this.getErrorName(error));
+      runHistory.record({
+        ...history,
+        error,
+        errorName: this.getErrorName(error),
+      });
+      error.runId = run.runId;
+      error.message = `${error.message}（运行ID: ${run.runId}，可通过resume_chain从步骤 ${run.error.step} 继续）`;
+
+      // 失败时同样需要跟踪信息来排查问题
+      if (context.trace) {
+        error.trace = context.trace;
+      }
+      throw error;
+    } finally {
+      clearTimeout(deadlineTimer);
+      options.signal?.removeEventListener('abort', onExternalAbort);
+    }
+  }
+
+  /**
+   * 生成顶层步骤在运行历史中的记录
+   * @param {Object} step - 步骤配置
+   * @param {number} index - 步骤索引
+   * @param {number} durationMs - 执行时间（毫秒）
+   * @param {Error|null} error - 步骤失败时的错误
+   * @param {boolean} caught - 错误是否被catch规则捕获
+   * @returns {Object} 步骤记录
+   */
+  describeStepRun(step, index, durationMs, error, caught) {
+    let status = 'succeeded';
+    if (error) {
+      status = caught ? 'caught' : 'failed';
+    }
+
+    return {
+      step: index + 1,
+      id: step.id ?? null,
+      type: step.type ?? 'Task',
+      toolName: step.toolName ?? null,
+      server: step.toolName
+        ? (this.findStepTool(step.toolName)?.serverKey ?? null)
+        : null,
+      durationMs,
+      status,
+      ...(error && { error: error.message }),
+    };
+  }
+
+  /**
+   * 从检查点继续执行失败或中断的运行
+   * 已完成的步骤不再执行，失败的步骤使用检查点中的结果作为输入；
+   * 可以替换失败步骤的toolArgs或parameters后重试
+   * @param {string} runId - 运行ID
+   * @param {Object} [options] - 执行选项
+   * @param {Object|string} [options.toolArgs] - 替换失败步骤的toolArgs
+   * @param {Object} [options.parameters] - 替换失败步骤的parameters
+   * @param {AbortSignal} [options.signal] - 外部取消信号
+   * @param {boolean} [options.trace] - 是否记录每个步骤的执行跟踪
+   * @returns {Object} 执行结果，与 executeChain 相同
+   * @throws {Error} 如果运行不存在、正在执行或执行失败
+   */
+  async resumeChain(runId, options = {}) {
+    const run = runStore.getRun(runId);
+    if (!run) {
+      throw new Error(`运行不存在或已成功完成: ${runId}`);
+    }
+    if (runStore.isActive(runId)) {
+      throw new Error(`运行正在执行中: ${runId}`);
+    }
+
+    const { mcpPath } = run;
+    const index = run.checkpoint.index;
+    if (options.toolArgs !== undefined || options.parameters !== undefined) {
+      const step = mcpPath[index];
+      if (!step?.toolName) {
+        throw new Error(`步骤 ${index + 1} 不是工具步骤，不能替换参数`);
+      }
+      if (options.toolArgs !== undefined) step.toolArgs = options.toolArgs;
+      if (options.parameters !== undefined)
+        step.parameters = options.parameters;
+    }
+
+    this.validateChainConfig(mcpPath, { variables: run.variables });
+
+    logger.info(`从步骤 ${index + 1} 继续运行: ${runId}`);
+    return this.executeChain(mcpPath, {
+      input: run.input,
+      variables: run.variables,
+      deadlineMs: run.deadlineMs,
+      outputLimit: run.outputLimit,
+      chainName: run.chainName,
+      signal: options.signal,
+      trace: options.trace,
+      resume: run,
+    });
+  }
+
+  /**
+   * 验证一组步骤的配置
+   * @param {Array} mcpPath - 步骤配置列表
+   * @param {Set<string>} visibleIds - 当前位置可以引用的步骤id
+   * @param {Set<string>} declaredIds - 整个工具链中已声明的步骤id
+   * @param {string} labelPrefix - 错误信息中的步骤位置前缀
+   * @throws {Error} 如果配置无效
+   */
+  validateSteps(mcpPath, visibleIds, declaredIds, labelPrefix = '') {
+    const allIds = new Set(mcpPath.map((step) => step.id).filter(Boolean));
+
+    for (let i = 0; i < mcpPath.length; i++) {
+      const step = mcpPath[i];
+      const label = `${labelPrefix}步骤 ${i + 1}`;
+
+      // 验证跳转目标指向同一组中存在的步骤
+      const validateTarget = (target) => {
+        if (target !== undefined && !allIds.has(target)) {
+          throw new Error(`${label} 的跳转目标不存在: ${target}`);
+        }
+      };
+
+      // 验证步骤引用只指向之前已声明id的步骤
+      const argsText = [
+        typeof step.toolArgs === 'string'
+          ? step.toolArgs
+          : JSON.stringify(step.toolArgs ?? {}),
+        JSON.stringify(step.parameters ?? {}),
+      ].join('\n');
+      const references = [...argsText.matchAll(STEP_TEMPLATE_PATTERN)];
+      for (const [, stepId] of references) {
+        if (!visibleIds.has(stepId)) {
+          throw new Error(`${label} 引用了未在之前步骤中声明的id: ${stepId}`);
+        }
+      }
+
+      validateTarget(step.next);
+      (step.catch || []).forEach((catcher) => validateTarget(catcher.next));
+
+      // resultPath只能是指向单个位置的简单路径
+      if (typeof step.resultPath === 'string') {
+        const keys = JSONPath.toPathArray(step.resultPath);
+        if (
+          keys[0] !== '$' ||
+          keys.some((key) => key === '*' || key === '..' || key.includes('?('))
+        ) {
+          throw new Error(
+            `${label} 的resultPath无效: ${step.resultPath}，只支持如 '$.a.b' 的简单路径`
+          );
+        }
+      }
+
+      // inputQuery/outputQuery与inputPath/outputPath作用相同，只能指定其中一个
+      for (const kind of ['input', 'output']) {
+        const query = step[`${kind}Query`];
+        if (!query) continue;
+        if (step[`${kind}Path`]) {
+          throw new Error(`${label} 不能同时指定${kind}Path和${kind}Query`);
+        }
+        try {
+          checkQuery(query);
+        } catch (error) {
+          throw new Error(`${label} 的${kind}Query无效: ${error.message}`);
+        }
+      }
+
+      if (step.type === 'Loop') {
+        if (!step.while) {
+          throw new Error(`${label} 是Loop步骤但缺少while条件`);
+        }
+        try {
+          validateCondition(step.while);
+        } catch (error) {
+          throw new Error(`${label} 的while条件无效: ${error.message}`);
+        }
+        if (step.toolName && step.mcpPath) {
+          throw new Error(`${label} 的toolName和mcpPath只能指定其中一个`);
+        }
+      }
+
+      if (step.type === 'Chain') {
+        if (Boolean(step.mcpPath) === Boolean(step.chainName)) {
+          throw new Error(
+            `${label} 是Chain步骤，需要指定mcpPath或chainName中的一个`
+          );
+        }
+        if (step.toolName) {
+          throw new Error(`${label} 是Chain步骤，不能指定toolName`);
+        }
+        try {
+          if (step.toolArgs) {
+            this.parseToolArgs(step.toolArgs);
+          }
+        } catch (error) {
+          throw new Error(
+            `${label} 的工具参数不是有效的JSON: ${error.message}`
+          );
+        }
+      }
+
+      if (step.type === 'Choice') {
+        if (!Array.isArray(step.choices) || step.choices.length === 0) {
+          throw new Error(`${label} 是Choice步骤但缺少choices规则`);
+        }
+
+        step.choices.forEach((rule, ruleIndex) => {
+          if (!rule.next && !rule.end) {
+            throw new Error(
+              `${label} 的第 ${ruleIndex + 1} 条规则缺少next或end`
+            );
+          }
+          validateTarget(rule.next);
+
+          try {
+            validateCondition(rule);
+          } catch (error) {
+            throw new Error(
+              `${label} 的第 ${ruleIndex + 1} 条规则无效: ${error.message}`
+            );
+          }
+        });
+        validateTarget(step.default);
+      } else if (step.type === 'Parallel') {
+        if (!Array.isArray(step.branches) || step.branches.length === 0) {
+          throw new Error(`${label} 是Parallel步骤但缺少branches分支`);
+        }
+
+        const names = step.branches
+          .map((branch) => branch.name)
+          .filter(Boolean);
+        if (new Set(names).size !== names.length) {
+          throw new Error(`${label} 的分支名称重复`);
+        }
+
+        // 分支只能引用并行步骤之前的输出以及同一分支内之前的输出，
+        // 分支内声明的id在并行步骤完成后对后续步骤可见
+        const branchScopes = step.branches.map((branch, branchIndex) => {
+          if (!Array.isArray(branch.mcpPath) || branch.mcpPath.length === 0) {
+            throw new Error(`${label} 的分支 ${branchIndex + 1} 不能为空`);
+          }
+          const branchIds = new Set(visibleIds);
+          this.validateSteps(
+            branch.mcpPath,
+            branchIds,
+            declaredIds,
+            `${label} 分支 ${branchIndex + 1} 的`
+          );
+          return branchIds;
+        });
+        branchScopes.forEach((branchIds) =>
+          branchIds.forEach((id) => visibleIds.add(id))
+        );
+      } else if (step.type === 'Chain' && step.chainName) {
+        const chain = chainLibrary.getChain(step.chainName);
+        if (!chain) {
+          throw new Error(`${label} 引用的工具链不存在: ${step.chainName}`);
+        }
+
+        // 已保存工具链的内容在执行时验证，这里只按inputSchema验证不依赖占位符的参数
+        const { args, dynamicPaths } = this.getStaticArgs(step);
+        const argErrors = validateToolArgs(
+          chain.inputSchema,
+          args,
+          dynamicPaths
+        );
+        if (argErrors.length > 0) {
+          throw new Error(
+            `${label} 的参数不符合工具链 ${step.chainName} 的inputSchema: ${argErrors.join(
+              '; '
+            )}`
+          );
+        }
+      } else if (
+        (step.type === 'Loop' || step.type === 'Chain') &&
+        step.mcpPath
+      ) {
+        if (step.mcpPath.length === 0) {
+          throw new Error(`${label} 的子链不能为空`);
+        }
+        // 子链可以引用此步骤之前的输出以及子链内之前的输出，
+        // 子链内声明的id在此步骤完成后对后续步骤可见
+        this.validateSteps(
+          step.mcpPath,
+          visibleIds,
+          declaredIds,
+          `${label} 子链的`
+        );
+      } else {
+        // Task、Map以及调用工具的Loop步骤都需要调用工具
+        if (!step.toolName) {
+          throw new Error(`${label} 缺少工具名称`);
+        }
+
+        if (!step.toolArgs && !step.parameters) {
+          throw new Error(`${label} 缺少工具参数`);
+        }
+
+        // 验证工具参数是有效的JSON
+        try {
+          if (step.toolArgs) {
+            this.parseToolArgs(step.toolArgs);
+          }
+        } catch (error) {
+          throw new Error(
+            `${label} 的工具参数不是有效的JSON: ${error.message}`
+          );
+        }
+
+        // 验证工具是否存在
+        const stepTool = this.findStepTool(step.toolName);
+        if (!stepTool) {
+          throw new Error(`${label} 中的工具未找到: ${step.toolName}`);
+        }
+
+        // 按inputSchema验证不依赖占位符的参数，避免执行到一半才发现缺少必需字段
+        const { args, dynamicPaths } = this.getStaticArgs(step);
+        const argErrors = validateToolArgs(
+          stepTool.tool.inputSchema,
+          args,
+          dynamicPaths
+        );
+        if (argErrors.length > 0) {
+          throw new Error(
+            `${label} 的参数不符合工具 ${step.toolName} 的inputSchema: ${argErrors.join(
+              '; '
+            )}`
+          );
+        }
+      }
+
+      if (step.id) {
+        if (declaredIds.has(step.id)) {
+          throw new Error(`${label} 的id重复: ${step.id}`);
+        }
+        declaredIds.add(step.id);
+        visibleIds.add(step.id);
+      }
+    }
+  }
+
+  /**
+   * 收集步骤中使用的所有JSONPath表达式
+   * @param {Object} step - 步骤配置
+   * @returns {Array<[string, string]>} [位置说明, 表达式] 列表
+   */
+  collectJsonPaths(step) {
+    const paths = [];
+    if (step.inputPath) paths.push(['inputPath', step.inputPath]);
+    if (step.outputPath) paths.push(['outputPath', step.outputPath]);
+    for (const field of ['inputQuery', 'outputQuery']) {
+      if (step[field]?.language === 'jsonpath') {
+        paths.push([field, step[field].expression]);
+      }
+    }
+    if (typeof step.resultPath === 'string') {
+      paths.push(['resultPath', step.resultPath]);
+    }
+    if (step.cursorPath) paths.push(['cursorPath', step.cursorPath]);
+    if (step.itemsPath) paths.push(['itemsPath', step.itemsPath]);
+
+    const collectParameters = (parameters, prefix) =>
+      Object.entries(parameters).forEach(([key, value]) => {
+        if (key.endsWith('.$') && typeof value === 'string') {
+          paths.push([`parameters.${prefix}${key}`, value]);
+        } else if (
+          value &&
+          typeof value === 'object' &&
+          !Array.isArray(value)
+        ) {
+          collectParameters(value, `${prefix}${key}.`);
+        }
+      });
+    collectParameters(step.parameters || {}, '');
+
+    const argsText = [
+      typeof step.toolArgs === 'string'
+        ? step.toolArgs
+        : JSON.stringify(step.toolArgs ?? {}),
+      JSON.stringify(step.parameters ?? {}),
+    ].join('\n');
+    for (const [match, , jsonPath] of argsText.matchAll(
+      STEP_TEMPLATE_PATTERN
+    )) {
+      if (jsonPath) paths.push([match, jsonPath]);
+    }
+
+    const collectConditions = (condition, label) => {
+      if (condition.variable) paths.push([label, condition.variable]);
+      (condition.and || []).forEach((nested) =>
+        collectConditions(nested, label)
+      );
+      (condition.or || []).forEach((nested) =>
+        collectConditions(nested, label)
+      );
+      if (condition.not) collectConditions(condition.not, label);
+    };
+    (step.choices || []).forEach((rule, ruleIndex) =>
+      collectConditions(rule, `第 ${ruleIndex + 1} 条规则的variable`)
+    );
+    if (step.while) collectConditions(step.while, 'while条件的variable');
+
+    return paths;
+  }
+
+  /**
+   * 生成一组步骤的执行计划（不调用任何工具）
+   * @param {Array} mcpPath - 步骤配置列表
+   * @param {Object} plan - 计划汇总，收集错误和破坏性步骤
+   * @param {string} labelPrefix - 步骤位置前缀
+   * @param {Set<string>} chainNames - 当前位置所在的已保存工具链，用于避免递归展开
+   * @returns {Array} 步骤计划列表
+   */
+  planSteps(mcpPath, plan, labelPrefix = '', chainNames = new Set()) {
+    return mcpPath.map((step, i) => {
+      const label = `${labelPrefix}步骤 ${i + 1}`;
+      const entry = { step: label, id: step.id, type: step.type || 'Task' };
+
+      for (const [field, path] of this.collectJsonPaths(step)) {
+        try {
+          checkJsonPath(path);
+        } catch (error) {
+          plan.errors.push(
+            `${label} 的 ${field} 不是有效的JSONPath: ${path}（${error.message}）`
+          );
+        }
+      }
+
+      if (step.type === 'Choice') {
+        entry.choices = (step.choices || []).map(({ next, end }) => ({
+          next,
+          end,
+        }));
+        entry.default = step.default;
+        return entry;
+      }
+
+      if (step.type === 'Parallel') {
+        entry.branches = (step.branches || []).map((branch, branchIndex) => ({
+          name: branch.name,
+          steps: this.planSteps(
+            branch.mcpPath || [],
+            plan,
+            `${label} 分支 ${branchIndex + 1} 的`,
+            chainNames
+          ),
+        }));
+      } else if (step.type === 'Chain' && step.chainName) {
+        entry.chainName = step.chainName;
+        const chain = chainLibrary.getChain(step.chainName);
+        // 递归引用的工具链只展开一次
+        if (chain && !chainNames.has(step.chainName)) {
+          entry.steps = this.planSteps(
+            chain.mcpPath,
+            plan,
+            `${label} 工具链 ${step.chainName} 的`,
+            new Set([...chainNames, step.chainName])
+          );
+        }
+      } else if (
+        (step.type === 'Loop' || step.type === 'Chain') &&
+        step.mcpPath
+      ) {
+        entry.steps = this.planSteps(
+          step.mcpPath,
+          plan,
+          `${label} 子链的`,
+          chainNames
+        );
+      } else {
+        const stepTool = this.findStepTool(step.toolName);
+        const annotations = stepTool?.tool.annotations || {};
+
+        // 配置验证在第一个错误处停止，这里补充报告所有无法解析的工具
+        const notFound = `${label} 中的工具未找到: ${step.toolName}`;
+        if (!stepTool && !plan.errors.includes(notFound)) {
+          plan.errors.push(notFound);
+        }
+        Object.assign(entry, {
+          toolName: step.toolName,
+          server: stepTool?.serverKey ?? null,
+          annotations,
+          destructive: annotations.destructiveHint === true,
+        });
+
+        try {
+          const { args, dynamicPaths } = this.getStaticArgs(step);
+          // 执行时才能确定的参数位置（JSON Pointer）
+          Object.assign(entry, { args, runtimeArgs: dynamicPaths });
+        } catch (error) {
+          entry.args = step.toolArgs;
+        }
+
+        if (entry.destructive) {
+          plan.destructiveSteps.push(label);
+        }
+      }
+
+      entry.next = step.next;
+      entry.end = step.end;
+      return entry;
+    });
+  }
+
+  /**
+   * 生成工具链的执行计划（dry run），不调用任何工具
+   * 包括工具所在的服务器、按inputSchema验证参数、检查JSONPath表达式以及标记破坏性步骤
+   * @param {Array} mcpPath - 工具链路径配置
+   * @param {Object} [options] - 验证选项，与 validateChainConfig 相同
+   * @returns {Object} 执行计划
+   */
+  planChain(mcpPath, options = {}) {
+    const plan = { valid: true, errors: [], destructiveSteps: [], steps: [] };
+
+    try {
+      this.validateChainConfig(mcpPath, options);
+    } catch (error) {
+      plan.errors.push(error.message);
+    }
+
+    plan.steps = this.planSteps(mcpPath || [], plan);
+    plan.valid = plan.errors.length === 0;
+    return plan;
+  }
+
+  /**
+   * 验证工具链配置
+   * @param {Array} mcpPath - 工具链路径配置
+   * @param {Object} [options] - 验证选项
+   * @param {Object} [options.variables] - 工具链变量，引用的变量必须已定义
+   * @throws {Error} 如果配置无效
+   */
+  validateChainConfig(mcpPath, options = {}) {
+    if (!Array.isArray(mcpPath) || mcpPath.length === 0) {
+      throw new Error('工具链路径不能为空');
+    }
+
+    this.validateSteps(mcpPath, new Set(), new Set());
 
-      // 验证工具是否存在
-      const toolInfo = mcpClientManager.findTool(step.toolName);
-      if (!toolInfo) {
-        throw new Error(`步骤 ${i + 1} 中的工具未找到: ${step.toolName}`);
+    const variables = options.variables ?? {};
+    for (const [, name] of JSON.stringify(mcpPath).matchAll(
+      VARIABLE_REFERENCE_PATTERN
+    )) {
+      if (!Object.hasOwn(variables, name)) {
+        throw new Error(`工具链引用了未定义的变量: ${name}`);
       }
     }
   }
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { ChainLibrarySchema } from '../schemas/mcp-chain-schema.mjs';
+import mcpConfigService from './mcp-config.mjs';
+import logger from '../logger.mjs';
+
+// 工具链中对输入参数的引用，例如 {{input.repo}} 或 $$.input.repo
+const INPUT_REFERENCE_PATTERN =
+  /(?:\{\{\s*input|\$\$\.input)\.([A-Za-z0-9_-]+)/g;
+
+/**
+ * 已保存工具链库
+ * 从 MCP_CHAINS_PATH 环境变量或MCP配置中的 chainsPath 指定的文件加载
+ */
+class ChainLibrary {
+  constructor() {
+    this.chains = new Map();
+    this.chainsPath = null;
+  }
+
+  /**
+   * 获取工具链库文件路径
+   * 环境变量优先；配置中的相对路径相对于MCP配置文件所在目录
+   * @returns {string|null} 文件路径，未配置时返回null
+   */
+  resolveChainsPath() {
+    if (process.env.MCP_CHAINS_PATH) {
+      return process.env.MCP_CHAINS_PATH;
+    }
+
+    const chainsPath = mcpConfigService.getConfig()?.chainsPath;
+    if (!chainsPath) {
+      return null;
+    }
+
+    const configPath = mcpConfigService.getConfigPath();
+    return configPath
+      ? path.resolve(path.dirname(configPath), chainsPath)
+      : chainsPath;
+  }
+
+  /**
+   * 从文件加载工具链库
+   * @param {string} [chainsPath] - 文件路径，默认按 resolveChainsPath() 查找
+   * @returns {Map<string, Object>} 工具链名称到工具链定义的映射
+   */
+  load(chainsPath = this.resolveChainsPath()) {
+    this.chains.clear();
+    this.chainsPath = chainsPath;
+
+    if (!chainsPath) {
+      return this.chains;
+    }
+
+    try {
+      if (!fs.existsSync(chainsPath)) {
+        throw new Error(`工具链库文件不存在: ${chainsPath}`);
+      }
+
+      const library = ChainLibrarySchema.parse(
+        JSON.parse(fs.readFileSync(chainsPath, 'utf8'))
+      );
+
+      for (const [name, chain] of Object.entries(library.chains)) {
+        this.validateInputReferences(name, chain);
+        // 规范化后的inputSchema在注册工具和每次验证参数时共用，验证函数按此对象缓存
+        chain.inputSchema = { type: 'object', ...chain.inputSchema };
+        this.chains.set(name, chain);
+      }
+
+      logger.info(
+        `成功加载工具链库: ${chainsPath}，共 ${this.chains.size} 个工具链`
+      );
+      return this.chains;
+    } catch (error) {
+      logger.error(`加载工具链库失败: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 验证工具链引用的输入参数都已在inputSchema中声明
+   * @param {string} name - 工具链名称
+   * @param {Object} chain - 工具链定义
+   * @throws {Error} 如果引用了未声明的参数
+   */
+  validateInputReferences(name, chain) {
+    const declared = new Set(Object.keys(chain.inputSchema.properties || {}));
+    const text = JSON.stringify(chain.mcpPath);
+
+    for (const [, key] of text.matchAll(INPUT_REFERENCE_PATTERN)) {
+      if (!declared.has(key)) {
+        throw new Error(
+          `工具链 ${name} 引用了未在inputSchema中声明的参数: ${key}`
+        );
+      }
+    }
+  }
+
+  /**
+   * 获取所有已加载的工具链
+   * @returns {Map<string, Object>} 工具链名称到工具链定义的映射
+   */
+  getChains() {
+    return this.chains;
+  }
+
+  /**
+   * 获取指定名称的工具链
+   * @param {string} name - 工具链名称
+   * @returns {Object|null} 工具链定义
+   */
+  getChain(name) {
+    return this.chains.get(name) || null;
+  }
+}
+
+// 创建单例实例
+const chainLibrary = new ChainLibrary();
+
+export default chainLibrary;
@@ -0,0 +1,138 @@
+import { JSONPath } from 'jsonpath-plus';
+
+/**
+ * 支持的比较运算符及其判断逻辑
+ * 每个运算符接收 (解析出的变量信息, 条件中的期望值)
+ */
+const COMPARATORS = {
+  stringEquals: ({ value }, expected) =>
+    typeof value === 'string' && value === expected,
+  numericEquals: ({ value }, expected) => toNumber(value) === expected,
+  numericGreaterThan: ({ value }, expected) => toNumber(value) > expected,
+  numericGreaterThanEquals: ({ value }, expected) =>
+    toNumber(value) >= expected,
+  numericLessThan: ({ value }, expected) => toNumber(value) < expected,
+  numericLessThanEquals: ({ value }, expected) => toNumber(value) <= expected,
+  booleanEquals: ({ value }, expected) => value === expected,
+  isPresent: ({ present }, expected) => present === expected,
+  isNull: ({ present, value }, expected) =>
+    (present && value === null) === expected,
+  matches: ({ value }, expected) =>
+    typeof value === 'string' && new RegExp(expected).test(value),
+};
+
+const LOGICAL_OPERATORS = ['and', 'or', 'not'];
+
+/**
+ * 将值转换为数字，无法转换时返回 NaN（任何比较都为 false）
+ * @param {any} value - 原始值
+ * @returns {number} 数字值
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+/**
+ * 使用JSONPath解析条件变量
+ * @param {any} input - 条件的输入数据（已解析的JSON）
+ * @param {string} [variable] - JSONPath表达式，默认为 '$'
+ * @param {Object} [contextObject] - 上下文对象，以 $$ 开头的变量在其上求值
+ * @returns {{present: boolean, value: any}} 变量是否存在及其值
+ */
+const resolveVariable = (input, variable = '$', contextObject) => {
+  if (contextObject && variable.trim().startsWith('$$')) {
+    return resolveVariable(contextObject, variable.trim().slice(1));
+  }
+
+  if (variable === '$') {
+    return { present: input !== undefined, value: input };
+  }
+
+  // 非JSON对象（如纯文本结果）上的JSONPath不会有匹配
+  if (input === null || typeof input !== 'object') {
+    return { present: false, value: undefined };
+  }
+
+  const matches = JSONPath({ path: variable, json: input, wrap: true });
+  return {
+    present: matches.length > 0,
+    value: matches.length === 1 ? matches[0] : matches,
+  };
+};
+
+/**
+ * 评估单个Choice条件
+ * 同一条件对象中的多个运算符需要同时满足
+ * @param {Object} condition - 条件配置
+ * @param {any} input - 条件的输入数据（已解析的JSON）
+ * @param {Object} [contextObject] - 上下文对象（工具链输入和变量）
+ * @returns {boolean} 条件是否成立
+ */
+export const evaluateCondition = (condition, input, contextObject) => {
+  const evaluate = (nested) => evaluateCondition(nested, input, contextObject);
+
+  if (condition.and && !condition.and.every(evaluate)) {
+    return false;
+  }
+  if (condition.or && !condition.or.some(evaluate)) {
+    return false;
+  }
+  if (condition.not && evaluate(condition.not)) {
+    return false;
+  }
+
+  const comparisons = Object.keys(COMPARATORS).filter(
+    (operator) => condition[operator] !== undefined
+  );
+  if (comparisons.length === 0) {
+    return true;
+  }
+
+  const variable = resolveVariable(input, condition.variable, contextObject);
+  return comparisons.every((operator) =>
+    COMPARATORS[operator](variable, condition[operator])
+  );
+};
+
+/**
+ * 验证Choice条件的结构
+ * @param {Object} condition - 条件配置
+ * @throws {Error} 如果条件无效
+ */
+export const validateCondition = (condition) => {
+  const operators = [...Object.keys(COMPARATORS), ...LOGICAL_OPERATORS].filter(
+    (operator) => condition[operator] !== undefined
+  );
+  if (operators.length === 0) {
+    throw new Error(
+      `条件缺少运算符，可用运算符: ${[
+        ...Object.keys(COMPARATORS),
+        ...LOGICAL_OPERATORS,
+      ].join(', ')}`
+    );
+  }
+
+  if (condition.matches !== undefined) {
+    try {
+      new RegExp(condition.matches);
+    } catch (error) {
+      throw new Error(
+        `无效的正则表达式 '${condition.matches}': ${error.message}`
+      );
+    }
+  }
+
+  for (const nested of [...(condition.and || []), ...(condition.or || [])]) {
+    validateCondition(nested);
+  }
+  if (condition.not) {
+    validateCondition(condition.not);
+  }
+};
+
+export default {
+  evaluateCondition,
+  validateCondition,
+};
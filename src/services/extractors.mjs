@@ -0,0 +1,254 @@
+import jmespath from 'jmespath';
+import xpath from 'xpath';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import { parse as parseHtml } from 'node-html-parser';
+
+// 以HTML文档开头的文本，按HTML解析而不是XML
+const HTML_DOCUMENT_PATTERN = /^\s*(?:<!doctype\s+html|<html[\s>])/i;
+
+// xpath和css匹配到元素时select的取值：text、html或 @<属性名>
+const SELECT_PATTERN = /^(?:text|html|@[^\s@]+)$/;
+
+// 保留未闭合的标签（例如末尾的 <p>），而不是丢弃它们
+const HTML_PARSE_OPTIONS = { parseNoneClosedTags: true };
+
+/**
+ * 将JSON文本解析为数据
+ * @param {any} data - 数据或JSON文本
+ * @returns {any} 解析后的数据
+ * @throws {Error} 如果文本不是有效的JSON
+ */
+const toJson = (data) => {
+  if (typeof data !== 'string') {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    throw new Error('输入不是有效的JSON');
+  }
+};
+
+/**
+ * 将数据转换为文本，非字符串按JSON序列化
+ * @param {any} data - 数据
+ * @returns {string} 文本
+ */
+const toText = (data) => {
+  if (data === undefined || data === null) return '';
+  return typeof data === 'string' ? data : JSON.stringify(data);
+};
+
+/**
+ * 与JSONPath的结果保持一致：只有一项时返回该项本身
+ * @param {Array} matches - 匹配结果
+ * @returns {any} 匹配结果
+ */
+const unwrap = (matches) => (matches.length === 1 ? matches[0] : matches);
+
+/**
+ * 按JSON Pointer（RFC 6901）取值
+ * @param {any} data - JSON数据
+ * @param {string} pointer - JSON Pointer，例如 /items/0/name
+ * @returns {any} 指向的值
+ * @throws {Error} 如果指向的位置不存在
+ */
+const getByPointer = (data, pointer) => {
+  if (pointer === '') {
+    return data;
+  }
+
+  return pointer
+    .split('/')
+    .slice(1)
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((value, token) => {
+      if (
+        value === null ||
+        typeof value !== 'object' ||
+        !Object.hasOwn(value, token)
+      ) {
+        throw new Error(`位置不存在: ${pointer}`);
+      }
+      return value[token];
+    }, data);
+};
+
+/**
+ * 将XML或HTML文本解析为DOM文档
+ * 非HTML文档先按XML解析，失败时再按HTML解析
+ * @param {string} text - XML或HTML文本
+ * @returns {{document: Object, isHtml: boolean}} DOM文档及其是否为HTML
+ */
+const parseDocument = (text) => {
+  if (!HTML_DOCUMENT_PATTERN.test(text)) {
+    try {
+      const errors = [];
+      const document = new DOMParser({
+        onError: (level, message) => {
+          if (level !== 'warning') errors.push(message);
+        },
+      }).parseFromString(text, 'text/xml');
+      if (errors.length === 0 && document.documentElement) {
+        return { document, isHtml: false };
+      }
+    } catch (e) {
+      // 不是格式良好的XML，按HTML解析
+    }
+  }
+
+  // xmldom要求标签闭合，先用宽松的HTML解析器规范化未闭合的标签
+  const document = new DOMParser({ onError: () => {} }).parseFromString(
+    parseHtml(text, HTML_PARSE_OPTIONS).toString(),
+    'text/html'
+  );
+  return { document, isHtml: true };
+};
+
+/**
+ * 将XPath匹配到的节点转换为值
+ * @param {Object} node - DOM节点
+ * @param {string} select - 元素节点返回的内容
+ * @returns {string|null} 节点的值
+ */
+const xpathNodeValue = (node, select) => {
+  if (node.nodeType !== node.ELEMENT_NODE) {
+    return node.nodeValue ?? node.textContent;
+  }
+  if (select === 'html') {
+    return new XMLSerializer().serializeToString(node);
+  }
+  if (select.startsWith('@')) {
+    const name = select.slice(1);
+    return node.hasAttribute(name) ? node.getAttribute(name) : null;
+  }
+  return node.textContent;
+};
+
+/**
+ * 将CSS选择器匹配到的元素转换为值
+ * @param {Object} element - node-html-parser元素
+ * @param {string} select - 返回的内容
+ * @returns {string|null} 元素的值
+ */
+const cssElementValue = (element, select) => {
+  if (select === 'html') {
+    return element.outerHTML;
+  }
+  if (select.startsWith('@')) {
+    return element.getAttribute(select.slice(1)) ?? null;
+  }
+  return element.text;
+};
+
+/**
+ * 各查询语言的实现，接收 (数据, 查询配置)，返回提取的数据
+ */
+const EXTRACTORS = {
+  jmespath: (data, { expression }) => jmespath.search(toJson(data), expression),
+
+  jsonpointer: (data, { expression }) => getByPointer(toJson(data), expression),
+
+  xpath: (data, { expression, select = 'text' }) => {
+    const { document, isHtml } = parseDocument(toText(data));
+    const result = xpath.parse(expression).evaluate({ node: document, isHtml });
+
+    // 字符串、数字和布尔值表达式（例如 count(//item)）直接返回结果
+    if (result instanceof xpath.XBoolean) return result.booleanValue();
+    if (result instanceof xpath.XNumber) return result.numberValue();
+    if (result instanceof xpath.XString) return result.stringValue();
+    return unwrap(result.toArray().map((node) => xpathNodeValue(node, select)));
+  },
+
+  css: (data, { expression, select = 'text' }) =>
+    unwrap(
+      parseHtml(toText(data), HTML_PARSE_OPTIONS)
+        .querySelectorAll(expression)
+        .map((element) => cssElementValue(element, select))
+    ),
+
+  regex: (data, { expression, flags = '' }) => {
+    const pattern = new RegExp(expression, `${flags.replace(/g/g, '')}g`);
+    return unwrap(
+      [...toText(data).matchAll(pattern)].map((match) => {
+        if (match.groups) return { ...match.groups };
+        return match.length > 1 ? match[1] : match[0];
+      })
+    );
+  },
+};
+
+/**
+ * 检查查询表达式能否编译
+ * @param {Object} query - 查询配置（language、expression、select、flags）
+ * @throws {Error} 如果表达式或选项无效
+ */
+export const checkQuery = ({ language, expression, select, flags }) => {
+  if (select !== undefined) {
+    if (language !== 'xpath' && language !== 'css') {
+      throw new Error(`select只能用于xpath和css查询`);
+    }
+    if (!SELECT_PATTERN.test(select)) {
+      throw new Error(`无效的select: ${select}，应为 text、html 或 @<属性名>`);
+    }
+  }
+  if (flags !== undefined && language !== 'regex') {
+    throw new Error(`flags只能用于regex查询`);
+  }
+
+  switch (language) {
+    case 'jsonpath':
+      // JSONPath由执行器检查，与inputPath/outputPath相同
+      break;
+    case 'jmespath':
+      jmespath.compile(expression);
+      break;
+    case 'jsonpointer':
+      if (expression !== '' && !expression.startsWith('/')) {
+        throw new Error("JSON Pointer必须为空或以 '/' 开头");
+      }
+      break;
+    case 'xpath':
+      xpath.parse(expression);
+      break;
+    case 'css':
+      parseHtml('').querySelectorAll(expression);
+      break;
+    case 'regex':
+      new RegExp(expression, `${(flags || '').replace(/g/g, '')}g`);
+      break;
+    default:
+      throw new Error(`不支持的查询语言: ${language}`);
+  }
+};
+
+/**
+ * 使用指定的查询语言从数据中提取内容
+ * JSON类语言（jmespath、jsonpointer）作用于JSON数据，其他语言作用于文本；
+ * xpath、css和regex的多个匹配返回数组，只有一个匹配时返回该项本身
+ * @param {any} data - 数据或文本
+ * @param {Object} query - 查询配置（language、expression、select、flags）
+ * @returns {any} 提取的数据
+ * @throws {Error} 如果查询失败
+ */
+export const runQuery = (data, query) => {
+  const extractor = Object.hasOwn(EXTRACTORS, query.language)
+    ? EXTRACTORS[query.language]
+    : null;
+  if (!extractor) {
+    throw new Error(`不支持的查询语言: ${query.language}`);
+  }
+
+  try {
+    return extractor(data, query);
+  } catch (error) {
+    throw new Error(
+      `${query.language}查询失败 ('${query.expression}'): ${error.message}`
+    );
+  }
+};
+
+export default {
+  checkQuery,
+  runQuery,
+};
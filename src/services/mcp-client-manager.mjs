@@ -1,6 +1,7 @@
 import { spawn } from 'child_process';
 import logger from '../logger.mjs';
 import mcpConfigService from './mcp-config.mjs';
+import toolCache from './tool-cache.mjs';
 import packageJson from '../../package.json';
 
 /**
@@ -243,29 +244,74 @@ class McpClientTransport {
     }
   }
 
+  /**
+   * 发送通知到MCP服务器（不等待响应）
+   * @param {string} method - 通知方法
+   * @param {Object} params - 通知参数
+   */
+  notify(method, params) {
+    if (!this.connected || !this.process) return;
+
+    try {
+      this.process.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+    } catch (error) {
+      logger.warn(`通知发送失败 (${method}): ${error.message}`);
+    }
+  }
+
   /**
    * 发送消息到MCP服务器
+   * @param {Object} message - JSON-RPC请求消息
+   * @param {number} [timeout=30000] - 等待响应的超时时间（毫秒）
+   * @param {AbortSignal} [signal] - 可选的取消信号，取消后通知服务器停止处理该请求
    */
-  async send(message, timeout = 30000) {
+  async send(message, timeout = 30000, signal) {
     return new Promise((resolve, reject) => {
       if (!this.connected || !this.process) {
         reject(new Error('传输未连接'));
         return;
       }
 
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       const id = this.nextId++;
       message.id = id;
 
+      // 放弃等待响应，并通知服务器停止处理该请求（initialize请求不能被取消）
+      const abandon = (reason) => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+        this.messageHandlers.delete(id);
+        if (message.method !== 'initialize') {
+          this.notify('notifications/cancelled', { requestId: id, reason });
+        }
+      };
+
       // 设置超时处理
       const timeoutId = setTimeout(() => {
         if (this.messageHandlers.has(id)) {
-          this.messageHandlers.delete(id);
-          reject(new Error(`消息发送超时 (${timeout}ms): ${JSON.stringify(message).substring(0, 100)}...`));
+          abandon(`请求超时 (${timeout}ms)`);
+          const error = new Error(`消息发送超时 (${timeout}ms): ${JSON.stringify(message).substring(0, 100)}...`);
+          error.code = 'TIMEOUT';
+          reject(error);
         }
       }, timeout);
 
+      // 处理取消信号
+      const onAbort = () => {
+        if (this.messageHandlers.has(id)) {
+          abandon(signal.reason?.message || '请求已取消');
+          reject(signal.reason);
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       this.messageHandlers.set(id, (response) => {
         clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
         
         if (response.error) {
           reject(new Error(response.error.message || '未知错误'));
@@ -279,12 +325,14 @@ class McpClientTransport {
         this.process.stdin.write(messageStr, (error) => {
           if (error) {
             clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
             this.messageHandlers.delete(id);
             reject(new Error(`消息写入失败: ${error.message}`));
           }
         });
       } catch (error) {
         clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
         this.messageHandlers.delete(id);
         reject(new Error(`消息序列化失败: ${error.message}`));
       }
@@ -489,13 +537,29 @@ class McpClientManager {
 
   /**
    * 调用工具
+   * @param {string} toolName - 工具名称
+   * @param {Object} args - 工具参数
+   * @param {Object} [options] - 调用选项
+   * @param {number} [options.timeoutMs] - 等待响应的超时时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 取消信号，取消时通知下游服务器
+   * @param {boolean} [options.noCache] - 不读取缓存的结果（仍会缓存本次调用的结果）
    */
-  async callTool(toolName, args) {
+  async callTool(toolName, args, options = {}) {
     const toolInfo = this.findTool(toolName);
     if (!toolInfo) {
       throw new Error(`工具未找到: ${toolName}`);
     }
 
+    // 服务器配置了cache时，相同参数的调用直接返回缓存的结果
+    const { serverKey } = toolInfo.client;
+    const cacheSettings = toolCache.getSettings(serverKey, toolInfo.tool);
+    if (cacheSettings && !options.noCache) {
+      const cached = toolCache.get(serverKey, toolInfo.tool.name, args);
+      if (cached) {
+        return cached;
+      }
+    }
+
     try {
       const response = await toolInfo.client.transport.send({
         jsonrpc: '2.0',
@@ -504,9 +568,13 @@ class McpClientManager {
           name: toolInfo.tool.name,
           arguments: args,
         },
-      });
+      }, options.timeoutMs, options.signal);
 
       if (response.result) {
+        // 错误结果不缓存
+        if (cacheSettings && !response.result.isError) {
+          toolCache.set(serverKey, toolInfo.tool.name, args, response.result, cacheSettings);
+        }
         return response.result;
       } else {
         throw new Error(response.error?.message || '工具调用失败');
@@ -530,6 +598,7 @@ class McpClientManager {
     }
     this.clients.clear();
     this.tools.clear();
+    toolCache.clear();
   }
 }
 
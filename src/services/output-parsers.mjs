@@ -0,0 +1,181 @@
+import YAML from 'yaml';
+
+// 按数字解析的单元格，不包括带前导零的值（例如邮编、编号），以免丢失信息
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+// Markdown表格的分隔行，例如 | --- | :---: |
+const TABLE_DIVIDER_PATTERN = /^\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?$/;
+
+// 键值对行，例如 name: foo 或 name=foo
+const KEY_VALUE_PATTERN = /^\s*([^:=]+?)\s*[:=]\s*(.*?)\s*$/;
+
+/**
+ * 将数字形式的文本转换为数字，其他值保持为字符串
+ * @param {string} value - 文本
+ * @returns {string|number} 转换后的值
+ */
+const toScalar = (value) =>
+  NUMBER_PATTERN.test(value) ? Number(value) : value;
+
+/**
+ * 将表头和数据行组合为对象数组
+ * @param {string[][]} rows - 第一行为表头的行列表
+ * @returns {Object[]} 以表头为键的对象数组
+ */
+const toRecords = ([header = [], ...rows]) =>
+  rows.map((row) =>
+    Object.fromEntries(
+      header.map((name, index) => [name, toScalar(row[index] ?? '')])
+    )
+  );
+
+/**
+ * 解析分隔符分隔的文本（RFC 4180），支持双引号包裹的字段和字段中的换行
+ * @param {string} text - 文本
+ * @param {string} delimiter - 字段分隔符
+ * @returns {string[][]} 行列表
+ * @throws {Error} 如果引号不匹配
+ */
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('引号不匹配');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 忽略空行
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+};
+
+/**
+ * 拆分Markdown表格行的单元格，\| 表示单元格中的竖线
+ * @param {string} line - 表格行
+ * @returns {string[]} 单元格列表
+ */
+const splitTableRow = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|').replace(/<br>/g, '\n'));
+
+/**
+ * 解析文本中的第一个Markdown表格
+ * @param {string} text - 文本
+ * @returns {Object[]} 以表头为键的对象数组
+ * @throws {Error} 如果文本中没有表格
+ */
+const parseMarkdownTable = (text) => {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(
+    (line, index) =>
+      line.includes('|') && TABLE_DIVIDER_PATTERN.test(lines[index + 1]?.trim())
+  );
+  if (start < 0) {
+    throw new Error('没有找到Markdown表格');
+  }
+
+  const rows = [splitTableRow(lines[start])];
+  for (const line of lines.slice(start + 2)) {
+    if (!line.includes('|')) break;
+    rows.push(splitTableRow(line));
+  }
+  return toRecords(rows);
+};
+
+/**
+ * 解析每行一个 key: value 或 key=value 的文本，忽略不含分隔符的行
+ * @param {string} text - 文本
+ * @returns {Object} 键值对象
+ */
+const parseKeyValue = (text) =>
+  Object.fromEntries(
+    text
+      .split(/\r?\n/)
+      .map((line) => KEY_VALUE_PATTERN.exec(line))
+      .filter(Boolean)
+      .map(([, key, value]) => [key, toScalar(value)])
+  );
+
+/**
+ * 解析每行一个JSON值的文本
+ * @param {string} text - 文本
+ * @returns {Array} 值列表
+ * @throws {Error} 如果某一行不是有效的JSON
+ */
+const parseNdjson = (text) =>
+  text.split(/\r?\n/).flatMap((line, index) => {
+    if (line.trim() === '') return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(`第 ${index + 1} 行不是有效的JSON: ${error.message}`);
+    }
+  });
+
+/**
+ * 各输出格式的解析函数，接收工具输出文本，返回结构化数据
+ */
+const PARSERS = {
+  yaml: (text) => YAML.parse(text),
+  csv: (text) => toRecords(parseDelimited(text, ',')),
+  tsv: (text) => toRecords(parseDelimited(text, '\t')),
+  ndjson: parseNdjson,
+  'markdown-table': parseMarkdownTable,
+  'key-value': parseKeyValue,
+};
+
+/**
+ * 按指定格式将工具输出文本解析为结构化数据
+ * csv、tsv和markdown-table的第一行为表头，解析为对象数组；数字形式的值转换为数字
+ * @param {string} text - 工具输出文本
+ * @param {string} format - 输出格式
+ * @returns {any} 解析后的数据
+ * @throws {Error} 如果格式不支持或文本无法解析
+ */
+export const parseOutput = (text, format) => {
+  if (!Object.hasOwn(PARSERS, format)) {
+    throw new Error(`不支持的输出格式: ${format}`);
+  }
+  return PARSERS[format](text);
+};
+
+export default {
+  parseOutput,
+};
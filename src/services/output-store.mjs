@@ -0,0 +1,249 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+import logger from '../logger.mjs';
+
+// 溢出到MCP资源的输出的URI前缀，例如 chain-output://<id>
+export const OUTPUT_RESOURCE_SCHEME = 'chain-output';
+
+// 估算token数时每个token对应的字节数
+const BYTES_PER_TOKEN = 4;
+
+// 预算容纳不下完整截断标记时使用的最短标记
+const ELLIPSIS = '…';
+
+/**
+ * 计算文本的UTF-8字节数
+ * @param {string} text - 文本
+ * @returns {number} 字节数
+ */
+const byteLength = (text) => Buffer.byteLength(text);
+
+/**
+ * 截取文本开头或结尾不超过指定字节数的部分，不拆分多字节字符
+ * @param {Buffer} buffer - 文本的UTF-8编码
+ * @param {number} maxBytes - 最大字节数
+ * @param {boolean} fromEnd - 是否从结尾截取
+ * @returns {string} 截取的文本
+ */
+const sliceBytes = (buffer, maxBytes, fromEnd) => {
+  const isContinuation = (index) => (buffer[index] & 0xc0) === 0x80;
+
+  if (fromEnd) {
+    let start = Math.max(buffer.length - maxBytes, 0);
+    while (start < buffer.length && isContinuation(start)) start++;
+    return buffer.subarray(start).toString();
+  }
+
+  let end = Math.min(maxBytes, buffer.length);
+  while (end > 0 && end < buffer.length && isContinuation(end)) end--;
+  return buffer.subarray(0, end).toString();
+};
+
+/**
+ * 步骤和工具链结果的大小限制
+ * 超出限制的结果按策略截断，或完整写入临时文件/MCP资源并以引用代替
+ */
+class OutputStore {
+  constructor() {
+    // 溢出到MCP资源的输出，按写入顺序保存
+    this.resources = new Map();
+    this.resourceBytes = 0; // 资源占用的总字节数
+    this.maxResources = 100; // 保留的资源数，超出时删除最早的资源
+    this.maxResourceBytes = 50 * 1024 * 1024; // 资源的总字节数上限，超出时删除最早的资源
+    this.spillDir = path.join(os.tmpdir(), 'mcp-tool-chainer');
+    this.maxFileAgeMs = 24 * 60 * 60 * 1000; // 溢出文件的保留时间，写入新文件时删除更早的文件
+  }
+
+  /**
+   * 获取限制对应的字节预算，同时指定maxBytes和maxTokens时取较小者
+   * @param {Object} limit - 输出限制（maxBytes、maxTokens）
+   * @returns {number} 字节预算
+   */
+  getByteBudget(limit) {
+    return Math.min(
+      limit.maxBytes ?? Infinity,
+      limit.maxTokens !== undefined
+        ? limit.maxTokens * BYTES_PER_TOKEN
+        : Infinity
+    );
+  }
+
+  /**
+   * 按策略将文本截断到字节预算以内，并标注被截断的字节数
+   * @param {string} text - 文本
+   * @param {number} budget - 字节预算
+   * @param {string} [strategy] - head（保留开头，默认）、tail（保留结尾）或 headTail（保留开头和结尾）
+   * @returns {string} 截断后的文本
+   */
+  truncate(text, budget, strategy = 'head') {
+    const buffer = Buffer.from(text);
+    if (buffer.length <= budget) {
+      return text;
+    }
+
+    // 截断标记也计入预算；预算容纳不下完整标记时只返回能容纳的省略号
+    const marker = (omitted) => `…[已截断 ${omitted} 字节]…`;
+    const available = budget - byteLength(marker(buffer.length)) - 2;
+    if (available < 0) {
+      return budget >= byteLength(ELLIPSIS) ? ELLIPSIS : '';
+    }
+
+    if (strategy === 'tail') {
+      const tail = sliceBytes(buffer, available, true);
+      return `${marker(buffer.length - byteLength(tail))}\n${tail}`;
+    }
+    if (strategy === 'headTail') {
+      const head = sliceBytes(buffer, Math.ceil(available / 2), false);
+      const tail = sliceBytes(buffer, Math.floor(available / 2), true);
+      const omitted = buffer.length - byteLength(head) - byteLength(tail);
+      return `${head}\n${marker(omitted)}\n${tail}`;
+    }
+
+    const head = sliceBytes(buffer, available, false);
+    return `${head}\n${marker(buffer.length - byteLength(head))}`;
+  }
+
+  /**
+   * 创建只有当前用户可以访问的溢出目录
+   * 溢出文件可能包含下游工具返回的任意内容，系统临时目录由所有本地用户共享；
+   * 同名目录已存在但不属于当前用户（或不是目录）时，改用新建的私有临时目录
+   */
+  ensureSpillDir() {
+    fs.mkdirSync(this.spillDir, { recursive: true, mode: 0o700 });
+
+    const stat = fs.lstatSync(this.spillDir);
+    const isOwned = !process.getuid || stat.uid === process.getuid();
+    if (stat.isDirectory() && isOwned) {
+      if ((stat.mode & 0o077) !== 0) {
+        fs.chmodSync(this.spillDir, 0o700);
+      }
+      return;
+    }
+
+    logger.warn(
+      `溢出目录 ${this.spillDir} 不属于当前用户，改用新建的私有临时目录`
+    );
+    this.spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tool-chainer-'));
+  }
+
+  /**
+   * 删除超过保留时间的溢出文件，删除失败只记录错误
+   */
+  removeExpiredFiles() {
+    try {
+      const cutoff = Date.now() - this.maxFileAgeMs;
+      for (const file of fs.readdirSync(this.spillDir)) {
+        const filePath = path.join(this.spillDir, file);
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.rmSync(filePath, { force: true });
+        }
+      }
+    } catch (error) {
+      logger.error(`清理溢出文件失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 将完整输出写入临时文件或MCP资源
+   * 超过资源总字节数上限的单个输出改为写入临时文件
+   * @param {string} text - 输出
+   * @param {'file'|'resource'} target - 写入位置
+   * @returns {{uri: string, path?: string}} 输出的位置
+   */
+  spill(text, target) {
+    const id = randomUUID();
+    const bytes = byteLength(text);
+
+    if (target === 'file' || bytes > this.maxResourceBytes) {
+      this.ensureSpillDir();
+      this.removeExpiredFiles();
+      const filePath = path.join(this.spillDir, `${id}.txt`);
+      fs.writeFileSync(filePath, text, { mode: 0o600, flag: 'wx' });
+      logger.info(`输出超出限制，已写入文件: ${filePath}`);
+      return { uri: pathToFileURL(filePath).href, path: filePath };
+    }
+
+    this.resources.set(id, text);
+    this.resourceBytes += bytes;
+    for (const [oldestId, oldest] of this.resources) {
+      if (
+        this.resources.size <= this.maxResources &&
+        this.resourceBytes <= this.maxResourceBytes
+      ) {
+        break;
+      }
+      this.resources.delete(oldestId);
+      this.resourceBytes -= byteLength(oldest);
+    }
+    const uri = `${OUTPUT_RESOURCE_SCHEME}://${id}`;
+    logger.info(`输出超出限制，已保存为资源: ${uri}`);
+    return { uri };
+  }
+
+  /**
+   * 按限制处理输出：未超出时原样返回；
+   * 超出时按strategy截断，指定spill时改为完整写入文件或资源，返回包含位置和预览的引用（JSON）
+   * @param {string} text - 输出
+   * @param {Object} limit - 输出限制（maxBytes、maxTokens、strategy、spill）
+   * @returns {string} 处理后的输出
+   */
+  limit(text, limit) {
+    const budget = this.getByteBudget(limit);
+    const bytes = byteLength(text);
+    if (bytes <= budget) {
+      return text;
+    }
+
+    if (!limit.spill) {
+      logger.info(`输出 ${bytes} 字节超出限制 ${budget} 字节，已截断`);
+      return this.truncate(text, budget, limit.strategy);
+    }
+
+    const location = this.spill(text, limit.spill);
+    const reference = { truncated: true, bytes, ...location };
+    // 预览与引用的其他字段一起不超过预算；引用的其他字段不截断
+    const previewBudget =
+      budget - byteLength(JSON.stringify({ ...reference, preview: '' }));
+    return JSON.stringify({
+      ...reference,
+      preview: this.truncatePreview(text, previewBudget, limit.strategy),
+    });
+  }
+
+  /**
+   * 截断预览，使其在JSON中转义后（引号、反斜杠、换行等）不超过预算
+   * @param {string} text - 输出
+   * @param {number} budget - 预览转义后的字节预算（不含两侧引号）
+   * @param {string} [strategy] - 截断策略
+   * @returns {string} 预览
+   */
+  truncatePreview(text, budget, strategy) {
+    let previewBudget = budget;
+    while (previewBudget > 0) {
+      const preview = this.truncate(text, previewBudget, strategy);
+      const excess = byteLength(JSON.stringify(preview)) - 2 - budget;
+      if (excess <= 0) {
+        return preview;
+      }
+      previewBudget -= excess;
+    }
+    return '';
+  }
+
+  /**
+   * 读取溢出到MCP资源的输出
+   * @param {string} id - 资源id
+   * @returns {string|null} 输出，不存在（或已被删除）时返回null
+   */
+  getResource(id) {
+    return this.resources.get(id) ?? null;
+  }
+}
+
+// 创建单例实例
+const outputStore = new OutputStore();
+
+export default outputStore;
@@ -0,0 +1,270 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mcpConfigService from './mcp-config.mjs';
+import outputStore from './output-store.mjs';
+import logger from '../logger.mjs';
+
+// 保留策略的默认值
+const HISTORY_DEFAULTS = {
+  maxRuns: 1000,
+  maxAgeDays: 30,
+};
+
+// 每条记录保存的输出的最大字节数
+const MAX_OUTPUT_BYTES = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 解析时间筛选条件
+ * @param {string} [value] - ISO 8601时间或日期
+ * @param {string} name - 条件名称（用于错误信息）
+ * @returns {number|null} 时间戳，未指定时返回null
+ * @throws {Error} 如果时间无效
+ */
+const parseTime = (value, name) => {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`无效的${name}: ${value}`);
+  }
+  return time;
+};
+
+/**
+ * 工具链运行历史
+ * 每次运行（包括每次resume_chain继续执行）结束时追加一条记录到JSONL文件，
+ * 超出保留条数或天数的记录在追加时批量清理
+ */
+class RunHistory {
+  constructor() {
+    // 文件中的记录数，第一次追加时统计
+    this.recordCount = null;
+  }
+
+  /**
+   * 获取历史文件路径
+   * MCP_HISTORY_PATH 环境变量优先；配置中history.path的相对路径相对于MCP配置文件所在目录；
+   * 都未配置时使用 ~/.mcp-tool-chainer/history.jsonl
+   * @returns {string} 文件路径
+   */
+  resolveHistoryPath() {
+    if (process.env.MCP_HISTORY_PATH) {
+      return process.env.MCP_HISTORY_PATH;
+    }
+
+    const historyPath = mcpConfigService.getConfig()?.history?.path;
+    if (!historyPath) {
+      return path.join(os.homedir(), '.mcp-tool-chainer', 'history.jsonl');
+    }
+
+    const configPath = mcpConfigService.getConfigPath();
+    return configPath
+      ? path.resolve(path.dirname(configPath), historyPath)
+      : historyPath;
+  }
+
+  /**
+   * 获取保留策略
+   * @returns {{maxRuns: number, maxAgeDays: number}} 保留的最大记录数和天数
+   */
+  getRetention() {
+    return { ...HISTORY_DEFAULTS, ...mcpConfigService.getConfig()?.history };
+  }
+
+  /**
+   * 读取文件中的所有记录，跳过无法解析的行（例如进程退出时未写完的行）
+   * @returns {Object[]} 按写入顺序排列的记录
+   */
+  readRecords() {
+    const historyPath = this.resolveHistoryPath();
+    if (!fs.existsSync(historyPath)) {
+      return [];
+    }
+
+    return fs
+      .readFileSync(historyPath, 'utf8')
+      .split('\n')
+      .flatMap((line) => {
+        if (line.trim() === '') return [];
+        try {
+          return [JSON.parse(line)];
+        } catch (e) {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * 按保留策略筛选记录：删除超过保留天数的记录，只保留最近的maxRuns条
+   * @param {Object[]} records - 按写入顺序排列的记录
+   * @returns {Object[]} 保留的记录
+   */
+  applyRetention(records) {
+    const { maxRuns, maxAgeDays } = this.getRetention();
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    return records
+      .filter((record) => Date.parse(record.finishedAt) >= cutoff)
+      .slice(-maxRuns);
+  }
+
+  /**
+   * 按保留策略重写历史文件
+   */
+  compact() {
+    const historyPath = this.resolveHistoryPath();
+    const records = this.applyRetention(this.readRecords());
+
+    fs.writeFileSync(
+      `${historyPath}.tmp`,
+      records.map((record) => `${JSON.stringify(record)}\n`).join('')
+    );
+    fs.renameSync(`${historyPath}.tmp`, historyPath);
+    this.recordCount = records.length;
+    logger.info(`已清理运行历史，保留 ${records.length} 条记录`);
+  }
+
+  /**
+   * 追加一条运行记录
+   * 记录数超出保留条数10%时按保留策略重写文件，避免每次追加都重写；
+   * 写入失败只记录错误，不影响工具链执行
+   * @param {Object} record - 运行记录
+   */
+  append(record) {
+    try {
+      const historyPath = this.resolveHistoryPath();
+      this.recordCount ??= this.readRecords().length;
+
+      fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+      fs.appendFileSync(historyPath, `${JSON.stringify(record)}\n`);
+      this.recordCount++;
+
+      const { maxRuns } = this.getRetention();
+      if (this.recordCount > maxRuns + Math.ceil(maxRuns / 10)) {
+        this.compact();
+      }
+    } catch (error) {
+      logger.error(`记录运行历史失败 (${record.runId}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 记录一次运行
+   * @param {Object} run - 运行信息
+   * @param {string} run.runId - 运行ID
+   * @param {number} run.attempt - 第几次执行（resume_chain继续执行时递增）
+   * @param {string} [run.chainName] - 已保存工具链的名称
+   * @param {Array} run.mcpPath - 工具链路径配置
+   * @param {Date} run.startedAt - 开始时间
+   * @param {Object[]} run.steps - 每个顶层步骤的执行记录
+   * @param {any} [run.output] - 最终结果（成功时）
+   * @param {Error} [run.error] - 错误（失败时）
+   * @param {string} [run.errorName] - 错误名称（例如 States.TaskFailed）
+   */
+  record({
+    runId,
+    attempt,
+    chainName,
+    mcpPath,
+    startedAt,
+    steps,
+    output,
+    error,
+    errorName,
+  }) {
+    const finishedAt = new Date();
+    let status = 'succeeded';
+    if (error) {
+      status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+    }
+
+    const failedStep = error
+      ? (steps.findLast((step) => step.status === 'failed')?.step ?? null)
+      : null;
+    let text = null;
+    if (output !== undefined && output !== null) {
+      text = typeof output === 'string' ? output : JSON.stringify(output);
+    }
+
+    this.append({
+      runId,
+      attempt,
+      chain: chainName ?? null,
+      status,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      failedStep,
+      error: error ? { name: errorName, message: error.message } : null,
+      steps,
+      output:
+        text === null ? null : outputStore.truncate(text, MAX_OUTPUT_BYTES),
+      mcpPath,
+    });
+  }
+
+  /**
+   * 查询运行记录，按结束时间从新到旧排列
+   * @param {Object} [filters] - 筛选条件
+   * @param {string} [filters.chain] - 已保存工具链的名称
+   * @param {string} [filters.status] - 运行状态（succeeded、failed或cancelled）
+   * @param {string} [filters.toolName] - 包含调用此工具的步骤
+   * @param {string} [filters.server] - 包含调用此服务器工具的步骤
+   * @param {string} [filters.since] - 在此时间之后开始
+   * @param {string} [filters.until] - 在此时间之前开始
+   * @param {number} [filters.limit] - 最多返回的记录数，默认20
+   * @returns {Object[]} 运行摘要（不包括步骤详情、输出和工具链定义）
+   * @throws {Error} 如果时间条件无效
+   */
+  list(filters = {}) {
+    const since = parseTime(filters.since, 'since');
+    const until = parseTime(filters.until, 'until');
+    const matchesStep = (record, key, value) =>
+      value === undefined || record.steps.some((step) => step[key] === value);
+
+    return this.applyRetention(this.readRecords())
+      .filter(
+        (record) =>
+          (filters.chain === undefined || record.chain === filters.chain) &&
+          (filters.status === undefined || record.status === filters.status) &&
+          matchesStep(record, 'toolName', filters.toolName) &&
+          matchesStep(record, 'server', filters.server) &&
+          (since === null || Date.parse(record.startedAt) >= since) &&
+          (until === null || Date.parse(record.startedAt) <= until)
+      )
+      .reverse()
+      .slice(0, filters.limit ?? 20)
+      .map((record) => ({
+        runId: record.runId,
+        attempt: record.attempt,
+        chain: record.chain,
+        status: record.status,
+        startedAt: record.startedAt,
+        durationMs: record.durationMs,
+        failedStep: record.failedStep,
+        error: record.error?.message ?? null,
+        tools: [
+          ...new Set(record.steps.map((step) => step.toolName).filter(Boolean)),
+        ],
+      }));
+  }
+
+  /**
+   * 获取一个运行的完整记录
+   * @param {string} runId - 运行ID
+   * @returns {Object[]} 此运行每次执行的记录，按执行顺序排列
+   */
+  getRun(runId) {
+    return this.applyRetention(this.readRecords()).filter(
+      (record) => record.runId === runId
+    );
+  }
+}
+
+// 创建单例实例
+const runHistory = new RunHistory();
+
+export default runHistory;
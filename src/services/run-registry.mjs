@@ -0,0 +1,153 @@
+import { randomUUID } from 'crypto';
+import chainExecutor from './chain-executor.mjs';
+import logger from '../logger.mjs';
+
+/**
+ * 异步执行的工具链运行登记表
+ * 运行在当前进程中后台执行，客户端通过运行ID查询状态、获取结果或取消
+ */
+class RunRegistry {
+  constructor() {
+    this.runs = new Map();
+    this.maxFinishedRuns = 100; // 保留的已结束运行数，超出时删除最早开始的已结束运行
+  }
+
+  /**
+   * 在后台开始执行工具链，立即返回运行ID
+   * @param {Array} mcpPath - 工具链路径配置
+   * @param {Object} [options] - 执行选项，与 executeChain 相同（signal除外）
+   * @returns {string} 运行ID，执行失败后也可以用于resume_chain
+   */
+  start(mcpPath, options = {}) {
+    const runId = randomUUID();
+    const controller = new AbortController();
+    const run = {
+      runId,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: { completedSteps: 0, nextStep: 1, totalSteps: mcpPath.length },
+      controller,
+      result: null,
+      error: null,
+      done: null, // 运行结束（成功、失败或取消）时完成的Promise
+    };
+    this.runs.set(runId, run);
+
+    run.done = chainExecutor
+      .executeChain(mcpPath, {
+        ...options,
+        runId,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          run.progress = progress;
+        },
+      })
+      .then(
+        (result) => {
+          run.status = 'succeeded';
+          run.result = result;
+        },
+        (error) => {
+          run.status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+          run.error = error;
+        }
+      )
+      .finally(() => {
+        run.finishedAt = new Date().toISOString();
+        logger.info(`异步工具链运行结束: ${runId} (${run.status})`);
+        this.prune();
+      });
+
+    logger.info(`开始异步执行工具链: ${runId}`);
+    return runId;
+  }
+
+  /**
+   * 删除超出保留数量的已结束运行
+   */
+  prune() {
+    const finished = [...this.runs.values()].filter(
+      (run) => run.status !== 'running'
+    );
+    for (const run of finished.slice(
+      0,
+      Math.max(finished.length - this.maxFinishedRuns, 0)
+    )) {
+      this.runs.delete(run.runId);
+    }
+  }
+
+  /**
+   * 获取运行
+   * @param {string} runId - 运行ID
+   * @returns {Object} 运行
+   * @throws {Error} 如果运行不存在
+   */
+  getRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new Error(`运行不存在或已过期: ${runId}`);
+    }
+    return run;
+  }
+
+  /**
+   * 获取运行的状态和步骤进度
+   * @param {string} runId - 运行ID
+   * @returns {Object} 运行状态（runId、status、startedAt、finishedAt、progress，失败时包括error）
+   * @throws {Error} 如果运行不存在
+   */
+  getStatus(runId) {
+    const { status, startedAt, finishedAt, progress, error } =
+      this.getRun(runId);
+    return {
+      runId,
+      status,
+      startedAt,
+      finishedAt,
+      progress,
+      ...(error && { error: error.message }),
+    };
+  }
+
+  /**
+   * 获取已结束运行的结果
+   * @param {string} runId - 运行ID
+   * @returns {Object} 执行结果，与 executeChain 相同
+   * @throws {Error} 如果运行不存在、尚未结束，或者运行失败（抛出运行的错误）
+   */
+  getResult(runId) {
+    const run = this.getRun(runId);
+    if (run.status === 'running') {
+      throw new Error(
+        `运行尚未完成: ${runId}（已完成 ${run.progress.completedSteps} 个步骤）`
+      );
+    }
+    if (run.error) {
+      throw run.error;
+    }
+    return run.result;
+  }
+
+  /**
+   * 取消正在执行的运行，中止进行中的工具调用
+   * @param {string} runId - 运行ID
+   * @returns {Object} 运行状态
+   * @throws {Error} 如果运行不存在
+   */
+  async cancel(runId) {
+    const run = this.getRun(runId);
+    if (run.status === 'running') {
+      run.controller.abort();
+      // 进行中的工具调用收到取消信号后立即中止，等待运行结束后返回最终状态
+      await run.done;
+    }
+    return this.getStatus(runId);
+  }
+}
+
+// 创建单例实例
+const runRegistry = new RunRegistry();
+
+export default runRegistry;
@@ -0,0 +1,316 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import mcpConfigService from './mcp-config.mjs';
+import logger from '../logger.mjs';
+
+// 运行ID的格式，读取运行状态前检查，避免拼接出运行目录以外的路径
+const RUN_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// 保留策略的默认值
+const RUN_DEFAULTS = {
+  maxRuns: 100,
+  maxAgeDays: 7,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 工具链运行状态（检查点）存储
+ * 每个运行保存为运行目录中的一个JSON文件，每个顶层步骤完成后更新；
+ * 运行成功后删除，失败或中断的运行保留，供resume_chain从失败的步骤继续，
+ * 超出保留个数或天数的运行在有运行失败时清理
+ */
+class RunStore {
+  constructor() {
+    // 当前进程中正在执行的运行ID
+    this.activeRuns = new Set();
+    // 尚未写入完成的运行状态，按运行ID索引
+    this.pendingWrites = new Map();
+  }
+
+  /**
+   * 获取运行目录
+   * MCP_RUNS_PATH 环境变量优先；配置中runs.path的相对路径相对于MCP配置文件所在目录；
+   * 都未配置时使用 ~/.mcp-tool-chainer/runs
+   * @returns {string} 目录路径
+   */
+  resolveRunsPath() {
+    if (process.env.MCP_RUNS_PATH) {
+      return process.env.MCP_RUNS_PATH;
+    }
+
+    const runsPath = mcpConfigService.getConfig()?.runs?.path;
+    if (!runsPath) {
+      return path.join(os.homedir(), '.mcp-tool-chainer', 'runs');
+    }
+
+    const configPath = mcpConfigService.getConfigPath();
+    return configPath
+      ? path.resolve(path.dirname(configPath), runsPath)
+      : runsPath;
+  }
+
+  /**
+   * 获取保留策略
+   * @returns {{maxRuns: number, maxAgeDays: number}} 保留的最大运行数和天数
+   */
+  getRetention() {
+    return { ...RUN_DEFAULTS, ...mcpConfigService.getConfig()?.runs };
+  }
+
+  /**
+   * 按保留策略删除失败或中断的运行：删除超过保留天数未更新的运行，只保留最近更新的maxRuns个
+   * 正在执行的运行不会被删除；清理失败只记录错误，不影响工具链执行
+   */
+  prune() {
+    try {
+      const runsPath = this.resolveRunsPath();
+      if (!fs.existsSync(runsPath)) {
+        return;
+      }
+
+      const { maxRuns, maxAgeDays } = this.getRetention();
+      const cutoff = Date.now() - maxAgeDays * DAY_MS;
+      const runs = fs
+        .readdirSync(runsPath)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => ({
+          runId: path.basename(file, '.json'),
+          filePath: path.join(runsPath, file),
+        }))
+        .filter(({ runId }) => !this.isActive(runId))
+        .map((run) => ({ ...run, mtime: fs.statSync(run.filePath).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime);
+
+      const expired = runs.filter(
+        (run, index) => index >= maxRuns || run.mtime < cutoff
+      );
+      for (const { filePath } of expired) {
+        fs.rmSync(filePath, { force: true });
+      }
+      if (expired.length > 0) {
+        logger.info(`已清理 ${expired.length} 个过期的运行状态`);
+      }
+    } catch (error) {
+      logger.error(`清理运行状态失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取运行状态文件路径
+   * @param {string} runId - 运行ID
+   * @returns {string} 文件路径
+   */
+  getRunFile(runId) {
+    return path.join(this.resolveRunsPath(), `${runId}.json`);
+  }
+
+  /**
+   * 写入运行状态
+   * 异步写入，避免较大的运行状态阻塞事件循环；同一运行的写入串行执行，
+   * 写入过程中再次保存时，在当前写入完成后只写入一次最新状态。
+   * 先写入临时文件再重命名，进程在写入过程中退出时不会留下不完整的文件；
+   * 写入失败只记录错误，不影响工具链执行
+   * @param {Object} run - 运行状态
+   * @returns {Promise<void>} 写入完成（包括之后合并的写入）时解决
+   */
+  save(run) {
+    run.updatedAt = new Date().toISOString();
+
+    const pending = this.pendingWrites.get(run.runId);
+    if (pending) {
+      pending.run = run;
+      pending.dirty = true;
+      return pending.done;
+    }
+
+    const write = { run, dirty: true, remove: false };
+    this.pendingWrites.set(run.runId, write);
+    write.done = this.flush(write);
+    return write.done;
+  }
+
+  /**
+   * 执行一个运行的排队写入，直到没有新的状态需要写入
+   * 写入期间运行成功完成时，写入结束后删除运行状态文件
+   * @param {Object} write - 排队的写入（run、dirty、remove）
+   */
+  async flush(write) {
+    const { runId } = write.run;
+    const filePath = this.getRunFile(runId);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      while (write.dirty && !write.remove) {
+        write.dirty = false;
+        await fs.promises.writeFile(
+          `${filePath}.tmp`,
+          JSON.stringify(write.run)
+        );
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+      }
+    } catch (error) {
+      logger.error(`保存运行状态失败 (${runId}): ${error.message}`);
+    } finally {
+      this.pendingWrites.delete(runId);
+    }
+
+    if (write.remove) {
+      this.removeRunFile(runId);
+    }
+  }
+
+  /**
+   * 删除运行状态文件，删除失败只记录错误
+   * @param {string} runId - 运行ID
+   */
+  removeRunFile(runId) {
+    try {
+      fs.rmSync(this.getRunFile(runId), { force: true });
+    } catch (error) {
+      logger.error(`删除运行状态失败 (${runId}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 创建新的运行，从第一个步骤开始
+   * @param {Array} mcpPath - 工具链路径配置
+   * @param {Object} options - 执行选项（runId、chainName、input、variables、deadlineMs、outputLimit）
+   * @returns {Object} 运行状态
+   */
+  createRun(mcpPath, options) {
+    const now = new Date().toISOString();
+    const run = {
+      runId: options.runId ?? randomUUID(),
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      attempts: 1,
+      chainName: options.chainName ?? null,
+      mcpPath,
+      input: options.input ?? {},
+      variables: options.variables ?? {},
+      deadlineMs: options.deadlineMs,
+      outputLimit: options.outputLimit,
+      // 下一个要执行的顶层步骤、传递给它的结果以及已完成步骤的输出
+      checkpoint: { index: 0, result: null, stepOutputs: {} },
+    };
+
+    this.activeRuns.add(run.runId);
+    this.save(run);
+    return run;
+  }
+
+  /**
+   * 读取运行状态
+   * @param {string} runId - 运行ID
+   * @returns {Object|null} 运行状态，不存在（或已成功完成）时返回null
+   */
+  getRun(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+      return null;
+    }
+
+    // 写入尚未完成时文件中的状态可能已过期，返回最新状态的副本
+    const pending = this.pendingWrites.get(runId);
+    if (pending) {
+      return pending.remove ? null : JSON.parse(JSON.stringify(pending.run));
+    }
+
+    const filePath = this.getRunFile(runId);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * 判断运行是否正在当前进程中执行
+   * @param {string} runId - 运行ID
+   * @returns {boolean} 是否正在执行
+   */
+  isActive(runId) {
+    return this.activeRuns.has(runId);
+  }
+
+  /**
+   * 记录顶层步骤完成后的检查点
+   * @param {Object} run - 运行状态
+   * @param {number} index - 下一个要执行的顶层步骤序号（从0开始）
+   * @param {any} result - 传递给下一个步骤的结果
+   * @param {Map<string, any>} stepOutputs - 带id步骤的输出
+   */
+  checkpoint(run, index, result, stepOutputs) {
+    run.checkpoint = {
+      index,
+      result: result ?? null,
+      stepOutputs: Object.fromEntries(stepOutputs),
+    };
+    this.save(run);
+  }
+
+  /**
+   * 从检查点重新开始运行
+   * @param {Object} run - 运行状态
+   * @param {Array} mcpPath - 工具链路径配置（可能已修改失败步骤的参数）
+   * @returns {Object} 运行状态
+   * @throws {Error} 如果运行正在执行
+   */
+  resumeRun(run, mcpPath) {
+    if (this.isActive(run.runId)) {
+      throw new Error(`运行正在执行中: ${run.runId}`);
+    }
+
+    run.status = 'running';
+    run.attempts = (run.attempts ?? 1) + 1;
+    run.mcpPath = mcpPath;
+    delete run.error;
+
+    this.activeRuns.add(run.runId);
+    this.save(run);
+    return run;
+  }
+
+  /**
+   * 记录运行失败，检查点指向失败的步骤
+   * @param {Object} run - 运行状态
+   * @param {Error} error - 错误对象
+   * @param {string} errorName - 错误名称（例如 States.TaskFailed）
+   * @returns {Promise<void>} 运行状态写入并清理过期运行后解决
+   */
+  failRun(run, error, errorName) {
+    run.status = 'failed';
+    run.error = {
+      name: errorName,
+      message: error.message,
+      step: run.checkpoint.index + 1,
+    };
+
+    this.activeRuns.delete(run.runId);
+    return this.save(run).then(() => this.prune());
+  }
+
+  /**
+   * 运行成功完成，删除运行状态
+   * @param {Object} run - 运行状态
+   */
+  completeRun(run) {
+    this.activeRuns.delete(run.runId);
+
+    // 还有写入在进行时，由写入结束后删除，避免之后的写入重新创建文件
+    const pending = this.pendingWrites.get(run.runId);
+    if (pending) {
+      pending.remove = true;
+      return;
+    }
+    this.removeRunFile(run.runId);
+  }
+}
+
+// 创建单例实例
+const runStore = new RunStore();
+
+export default runStore;
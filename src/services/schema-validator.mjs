@@ -0,0 +1,145 @@
+import Ajv from 'ajv';
+import logger from '../logger.mjs';
+
+const AJV_OPTIONS = {
+  allErrors: true,
+  strict: false,
+  verbose: true,
+  validateFormats: false,
+};
+
+const ajv = new Ajv(AJV_OPTIONS);
+// 验证时填充schema中声明的默认值，用于已保存工具链的输入
+const ajvWithDefaults = new Ajv({ ...AJV_OPTIONS, useDefaults: true });
+
+// 已编译的验证函数，按inputSchema对象缓存；无法编译的schema缓存为null
+const validators = new WeakMap();
+const defaultingValidators = new WeakMap();
+
+/**
+ * 获取inputSchema对应的验证函数
+ * 缓存以schema对象为键，调用方需要传入同一个schema对象才能命中缓存
+ * @param {Object} schema - 工具的inputSchema
+ * @param {boolean} [useDefaults=false] - 是否在验证时填充默认值
+ * @returns {Function|null} 验证函数，schema无法编译时返回null
+ */
+const getValidator = (schema, useDefaults = false) => {
+  const cache = useDefaults ? defaultingValidators : validators;
+  if (!cache.has(schema)) {
+    // 下游服务器可能声明ajv默认不支持的$schema版本，忽略它按默认草案验证
+    const { $schema, ...rest } = schema;
+    try {
+      cache.set(schema, (useDefaults ? ajvWithDefaults : ajv).compile(rest));
+    } catch (error) {
+      logger.warn(`无法编译工具的inputSchema，跳过参数验证: ${error.message}`);
+      cache.set(schema, null);
+    }
+  }
+  return cache.get(schema);
+};
+
+/**
+ * 将JSON Pointer形式的位置转换为字段名，例如 /items/0/name 转换为 items[0].name
+ * @param {string} pointer - JSON Pointer
+ * @returns {string} 字段名，根位置返回 '$'
+ */
+const toFieldName = (pointer) => {
+  if (!pointer) {
+    return '$';
+  }
+  return pointer
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce(
+      (name, segment) =>
+        /^\d+$/.test(segment)
+          ? `${name}[${segment}]`
+          : name
+            ? `${name}.${segment}`
+            : segment,
+      ''
+    );
+};
+
+/**
+ * 描述值的JSON类型
+ * @param {any} value - 值
+ * @returns {string} 类型名称
+ */
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * 将ajv的错误转换为可读的错误信息
+ * @param {Object} error - ajv错误对象
+ * @returns {string} 错误信息
+ */
+const formatError = (error) => {
+  const field = toFieldName(error.instancePath);
+  const child = (name) => (field === '$' ? name : `${field}.${name}`);
+
+  switch (error.keyword) {
+    case 'required':
+      return `缺少必需字段 '${child(error.params.missingProperty)}'`;
+    case 'type':
+      return `字段 '${field}' 应为 ${error.params.type} 类型，实际为 ${describeType(
+        error.data
+      )}`;
+    case 'enum':
+      return `字段 '${field}' 应为以下值之一: ${error.params.allowedValues
+        .map((value) => JSON.stringify(value))
+        .join(', ')}`;
+    case 'additionalProperties':
+      return `不支持的字段 '${child(error.params.additionalProperty)}'`;
+    default:
+      return `字段 '${field}' ${error.message}`;
+  }
+};
+
+/**
+ * 按工具的inputSchema验证参数
+ * @param {Object} [schema] - 工具的inputSchema（JSON Schema）
+ * @param {Object} args - 工具参数
+ * @param {string[]} [ignorePaths] - 忽略的位置（JSON Pointer），其中及其下级的错误不报告
+ * @returns {string[]} 错误信息列表，参数有效时为空
+ */
+export const validateToolArgs = (schema, args, ignorePaths = []) => {
+  const validate = schema && typeof schema === 'object' && getValidator(schema);
+  if (!validate || validate(args)) {
+    return [];
+  }
+
+  const isIgnored = (pointer) =>
+    ignorePaths.some(
+      (path) => pointer === path || pointer.startsWith(`${path}/`)
+    );
+
+  return validate.errors
+    .filter((error) => !isIgnored(error.instancePath))
+    .map(formatError);
+};
+
+/**
+ * 按inputSchema验证参数并填充schema中声明的默认值
+ * 与注册为工具时按同一schema解析参数的结果保持一致
+ * @param {Object} schema - inputSchema（JSON Schema）
+ * @param {Object} args - 参数，不会被修改
+ * @returns {{args: Object, errors: string[]}} 填充默认值后的参数副本和错误信息列表
+ */
+export const applyInputDefaults = (schema, args) => {
+  const copy = structuredClone(args);
+  const validate = getValidator(schema, true);
+  if (!validate || validate(copy)) {
+    return { args: copy, errors: [] };
+  }
+  return { args: copy, errors: validate.errors.map(formatError) };
+};
+
+export default {
+  validateToolArgs,
+  applyInputDefaults,
+};
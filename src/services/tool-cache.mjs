@@ -0,0 +1,169 @@
+import mcpConfigService from './mcp-config.mjs';
+import logger from '../logger.mjs';
+
+// 缓存配置的默认值，maxEntries和maxBytes为每个工具的上限
+const CACHE_DEFAULTS = {
+  ttlMs: 300000,
+  maxEntries: 100,
+  maxBytes: 5 * 1024 * 1024,
+};
+
+/**
+ * 按键名排序对象的属性（包括嵌套对象），使属性顺序不同的相同参数得到相同的缓存键
+ * @param {any} value - 参数值
+ * @returns {any} 属性已排序的值
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonicalize(value[key])])
+    );
+  }
+  return value;
+};
+
+/**
+ * 下游工具调用结果的缓存
+ * 按服务器配置中的cache启用：服务器级配置用于带readOnlyHint或idempotentHint注解的工具，
+ * cache.tools中的工具级配置覆盖服务器级配置，为false时不缓存该工具；
+ * 每个工具的缓存按最近使用顺序淘汰
+ */
+class ToolCache {
+  constructor() {
+    // 服务器和工具名称到缓存条目的映射，条目按最近使用顺序排列
+    this.buckets = new Map();
+  }
+
+  /**
+   * 获取工具的缓存配置
+   * @param {string} serverKey - 服务器键名
+   * @param {Object} tool - 下游工具信息（name、annotations）
+   * @returns {Object|null} 缓存配置（ttlMs、maxEntries、maxBytes），不缓存时返回null
+   */
+  getSettings(serverKey, tool) {
+    const cache = mcpConfigService.getConfig()?.mcpServers[serverKey]?.cache;
+    if (!cache) {
+      return null;
+    }
+
+    const { tools = {}, ...serverSettings } = cache;
+    const toolSettings = tools[tool.name];
+    if (toolSettings === false) {
+      return null;
+    }
+    // 未单独配置的工具只有只读或幂等时才缓存
+    if (
+      toolSettings === undefined &&
+      !tool.annotations?.readOnlyHint &&
+      !tool.annotations?.idempotentHint
+    ) {
+      return null;
+    }
+
+    return { ...CACHE_DEFAULTS, ...serverSettings, ...toolSettings };
+  }
+
+  /**
+   * 获取工具的缓存条目
+   * @param {string} serverKey - 服务器键名
+   * @param {string} toolName - 下游工具名称
+   * @returns {{entries: Map, bytes: number}} 缓存条目和总字节数
+   */
+  getBucket(serverKey, toolName) {
+    const bucketKey = `${serverKey}/${toolName}`;
+    if (!this.buckets.has(bucketKey)) {
+      this.buckets.set(bucketKey, { entries: new Map(), bytes: 0 });
+    }
+    return this.buckets.get(bucketKey);
+  }
+
+  /**
+   * 删除缓存条目
+   * @param {Object} bucket - 工具的缓存
+   * @param {string} key - 缓存键
+   */
+  evict(bucket, key) {
+    bucket.bytes -= bucket.entries.get(key).bytes;
+    bucket.entries.delete(key);
+  }
+
+  /**
+   * 读取缓存的工具调用结果
+   * @param {string} serverKey - 服务器键名
+   * @param {string} toolName - 下游工具名称
+   * @param {Object} args - 工具参数
+   * @returns {Object|null} 结果的副本，未缓存或已过期时返回null
+   */
+  get(serverKey, toolName, args) {
+    const bucket = this.getBucket(serverKey, toolName);
+    const key = JSON.stringify(canonicalize(args ?? {}));
+    const entry = bucket.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.evict(bucket, key);
+      return null;
+    }
+
+    // 移到最近使用的位置
+    bucket.entries.delete(key);
+    bucket.entries.set(key, entry);
+    logger.debug(`工具调用命中缓存: ${serverKey}/${toolName}`);
+    return structuredClone(entry.result);
+  }
+
+  /**
+   * 缓存工具调用结果，超出条目数或字节数上限时淘汰最久未使用的条目
+   * @param {string} serverKey - 服务器键名
+   * @param {string} toolName - 下游工具名称
+   * @param {Object} args - 工具参数
+   * @param {Object} result - 工具调用结果
+   * @param {Object} settings - 缓存配置
+   */
+  set(serverKey, toolName, args, result, settings) {
+    const bytes = Buffer.byteLength(JSON.stringify(result));
+    if (bytes > settings.maxBytes) {
+      return;
+    }
+
+    const bucket = this.getBucket(serverKey, toolName);
+    const key = JSON.stringify(canonicalize(args ?? {}));
+    if (bucket.entries.has(key)) {
+      this.evict(bucket, key);
+    }
+    bucket.entries.set(key, {
+      result: structuredClone(result),
+      bytes,
+      expiresAt: Date.now() + settings.ttlMs,
+    });
+    bucket.bytes += bytes;
+
+    for (const oldest of bucket.entries.keys()) {
+      if (
+        bucket.entries.size <= settings.maxEntries &&
+        bucket.bytes <= settings.maxBytes
+      ) {
+        break;
+      }
+      this.evict(bucket, oldest);
+    }
+  }
+
+  /**
+   * 清空所有缓存
+   */
+  clear() {
+    this.buckets.clear();
+  }
+}
+
+// 创建单例实例
+const toolCache = new ToolCache();
+
+export default toolCache;
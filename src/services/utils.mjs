@@ -161,3 +161,39 @@ export const collectCompletedNumbers = (tasks) => {
   });
   return completedNumbers;
 };
+
+/**
+ * 以有限的并发数对列表中的每一项执行异步函数，结果保持原顺序
+ * 任一项失败后不再开始新的项，等待正在处理的项结束后抛出第一个错误
+ * @param {Array} items - 要处理的列表
+ * @param {number} limit - 最大并发数，0 或未指定表示不限制
+ * @param {Function} mapper - 异步处理函数 (item, index) => Promise<any>
+ * @param {Function} [onError] - 第一项失败时调用，参数为错误，例如用于中止正在处理的项
+ * @returns {Promise<Array>} - 与输入顺序一致的结果列表
+ */
+export const mapWithConcurrency = async (items, limit, mapper, onError) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        if (!failure) {
+          failure = { error };
+          onError?.(error);
+        }
+      }
+    }
+  };
+
+  const workerCount = limit > 0 ? Math.min(limit, items.length) : items.length;
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+};
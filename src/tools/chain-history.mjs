@@ -0,0 +1,40 @@
+import { ChainHistoryRequestSchema } from '../schemas/mcp-chain-schema.mjs';
+import runHistory from '../services/run-history.mjs';
+import logger from '../logger.mjs';
+import { registerTool } from './utils.mjs';
+
+/**
+ * 注册运行历史查询工具
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerChainHistoryTool(server) {
+  registerTool(server, {
+    name: 'chain_history',
+    description:
+      '查询过去的工具链运行：按工具链名称、状态、工具、服务器和时间筛选运行列表（从新到旧），或通过runId获取一个运行的完整记录',
+    parameters: ChainHistoryRequestSchema,
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    execute: async ({ runId, ...filters }) => {
+      if (runId) {
+        const records = runHistory.getRun(runId);
+        if (records.length === 0) {
+          throw new Error(`运行历史中没有此运行: ${runId}`);
+        }
+        return JSON.stringify({ runs: records }, null, 2);
+      }
+
+      return JSON.stringify({ runs: runHistory.list(filters) }, null, 2);
+    },
+  });
+
+  logger.info('已注册 chain_history 工具');
+}
+
+export default {
+  registerChainHistoryTool,
+};
@@ -0,0 +1,31 @@
+import outputStore, {
+  OUTPUT_RESOURCE_SCHEME,
+} from '../services/output-store.mjs';
+import logger from '../logger.mjs';
+
+/**
+ * 注册溢出输出的资源模板，客户端可以通过 chain-output://<id> 读取超出outputLimit的完整输出
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerChainOutputResource(server) {
+  server.addResourceTemplate({
+    uriTemplate: `${OUTPUT_RESOURCE_SCHEME}://{id}`,
+    name: '工具链溢出输出',
+    description: '超出outputLimit并设置spill为resource的步骤输出或工具链结果',
+    mimeType: 'text/plain',
+    arguments: [{ name: 'id', description: '资源id', required: true }],
+    load: async ({ id }) => {
+      const text = outputStore.getResource(id);
+      if (text === null) {
+        throw new Error(`溢出输出不存在或已过期: ${id}`);
+      }
+      return { text };
+    },
+  });
+
+  logger.info('已注册工具链溢出输出资源模板');
+}
+
+export default {
+  registerChainOutputResource,
+};
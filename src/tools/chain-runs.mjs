@@ -0,0 +1,100 @@
+import {
+  ChainRunRequestSchema,
+  McpChainStartRequestSchema,
+} from '../schemas/mcp-chain-schema.mjs';
+import chainExecutor from '../services/chain-executor.mjs';
+import runRegistry from '../services/run-registry.mjs';
+import logger from '../logger.mjs';
+import {
+  registerTool,
+  createChainResponse,
+  createChainErrorResponse,
+} from './utils.mjs';
+
+/**
+ * 注册异步执行工具链的工具：开始、查询状态、获取结果和取消
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerChainRunTools(server) {
+  registerTool(server, {
+    name: 'mcp_chain_start',
+    description:
+      '在后台开始执行工具链并立即返回运行ID，参数与mcp_chain相同（不支持dryRun）。适用于执行时间较长的工具链，之后通过mcp_chain_status查询进度、mcp_chain_result获取结果',
+    parameters: McpChainStartRequestSchema,
+    annotations: {
+      readOnlyHint: false, // 工具链可能包含写操作
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: true,
+    },
+    execute: async ({ mcpPath, ...options }, { log }) => {
+      // 配置错误在开始执行前直接返回，而不是等到查询结果时
+      chainExecutor.validateChainConfig(mcpPath, {
+        variables: options.variables,
+      });
+
+      const runId = runRegistry.start(mcpPath, options);
+      log.info(`已在后台开始执行工具链: ${runId}`);
+      return JSON.stringify(runRegistry.getStatus(runId), null, 2);
+    },
+  });
+
+  registerTool(server, {
+    name: 'mcp_chain_status',
+    description:
+      '查询异步工具链运行的状态（running、succeeded、failed或cancelled）和步骤进度',
+    parameters: ChainRunRequestSchema,
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    execute: async ({ runId }) =>
+      JSON.stringify(runRegistry.getStatus(runId), null, 2),
+  });
+
+  registerTool(server, {
+    name: 'mcp_chain_result',
+    description:
+      '获取已结束的异步工具链运行的结果，格式与mcp_chain相同；运行失败时返回其错误，尚未结束时返回错误',
+    parameters: ChainRunRequestSchema,
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    execute: async ({ runId }, { log }) => {
+      try {
+        return createChainResponse(runRegistry.getResult(runId));
+      } catch (error) {
+        return createChainErrorResponse(error, log);
+      }
+    },
+  });
+
+  registerTool(server, {
+    name: 'mcp_chain_cancel',
+    description:
+      '取消正在执行的异步工具链运行，中止进行中的工具调用，返回取消后的状态。已取消的运行可以通过resume_chain从中断的步骤继续',
+    parameters: ChainRunRequestSchema,
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    execute: async ({ runId }, { log }) => {
+      const status = await runRegistry.cancel(runId);
+      log.info(`取消异步工具链运行: ${runId}，当前状态: ${status.status}`);
+      return JSON.stringify(status, null, 2);
+    },
+  });
+
+  logger.info('已注册异步工具链工具');
+}
+
+export default {
+  registerChainRunTools,
+};
@@ -1,4 +1,5 @@
 import mcpClientManager from '../services/mcp-client-manager.mjs';
+import { getBuiltinStepNames } from '../services/builtin-steps.mjs';
 import logger from '../logger.mjs';
 import { registerSimpleTool } from './utils.mjs';
 
@@ -17,8 +18,11 @@ export function registerChainableToolsTool(server) {
     execute: async (args, { log }) => {
       log.info('开始获取可链接工具列表');
 
-      // 获取所有可用工具
-      const availableTools = mcpClientManager.getAvailableTools();
+      // 获取所有可用工具，包括在本地执行的内置步骤
+      const availableTools = [
+        ...mcpClientManager.getAvailableTools(),
+        ...getBuiltinStepNames(),
+      ];
 
       log.info(`找到 ${availableTools.length} 个可用工具`);
 
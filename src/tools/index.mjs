@@ -1,6 +1,11 @@
 import { registerMcpChainTool } from './mcp-chain.mjs';
 import { registerChainableToolsTool } from './chainable-tools.mjs';
 import { registerDiscoverToolsTool } from './discover-tools.mjs';
+import { registerResumeChainTool } from './resume-chain.mjs';
+import { registerChainRunTools } from './chain-runs.mjs';
+import { registerChainHistoryTool } from './chain-history.mjs';
+import { registerSavedChainTools } from './saved-chains.mjs';
+import { registerChainOutputResource } from './chain-outputs.mjs';
 
 /**
  * 注册所有LP Tool Chainer工具到MCP服务器
@@ -12,6 +17,15 @@ export function registerTools(server) {
     registerMcpChainTool(server);
     registerChainableToolsTool(server);
     registerDiscoverToolsTool(server);
+    registerResumeChainTool(server);
+    registerChainRunTools(server);
+    registerChainHistoryTool(server);
+
+    // 注册工具链库中已保存的工具链（在内置工具之后，以检查名称冲突）
+    registerSavedChainTools(server);
+
+    // 注册溢出输出的资源模板
+    registerChainOutputResource(server);
   } catch (error) {
     console.error(`Error registering LP Tool Chainer tools: ${error.message}`);
     throw error;
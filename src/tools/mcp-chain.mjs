@@ -1,7 +1,11 @@
 import { McpChainRequestSchema } from '../schemas/mcp-chain-schema.mjs';
 import chainExecutor from '../services/chain-executor.mjs';
 import logger from '../logger.mjs';
-import { registerTool } from './utils.mjs';
+import {
+  registerTool,
+  createChainResponse,
+  createChainErrorResponse
+} from './utils.mjs';
 
 /**
  * 注册MCP工具链工具
@@ -10,7 +14,7 @@ import { registerTool } from './utils.mjs';
 export function registerMcpChainTool(server) {
   registerTool(server, {
     name: 'mcp_chain',
-    description: '将多个MCP工具链接在一起执行，支持结果传递和JSONPath数据过滤',
+    description: '将多个MCP工具链接在一起执行，支持结果传递和JSONPath数据过滤；dryRun为true时只返回执行计划',
     parameters: McpChainRequestSchema, // 直接使用Zod schema
     annotations: {
       readOnlyHint: false, // 工具链可能包含写操作
@@ -18,7 +22,7 @@ export function registerMcpChainTool(server) {
       idempotentHint: false, // 重复执行可能产生不同结果
       openWorldHint: true // 与外部系统交互
     },
-    execute: async (args, { log, reportProgress }) => {
+    execute: async (args, { log, reportProgress, signal }) => {
       log.info('开始执行MCP工具链');
       
       // 报告进度：开始验证
@@ -30,10 +34,17 @@ export function registerMcpChainTool(server) {
       }
       
       // 验证请求参数（Zod会自动验证，这里是额外验证）
-      const { mcpPath } = args;
+      const { mcpPath, input, variables, deadlineMs, dryRun, trace, outputLimit } = args;
+
+      // 只生成执行计划，不调用任何工具
+      if (dryRun) {
+        const plan = chainExecutor.planChain(mcpPath, { variables });
+        log.info(`MCP工具链执行计划生成完成: ${plan.valid ? '有效' : '无效'}`);
+        return JSON.stringify(plan, null, 2);
+      }
 
       // 验证工具链配置
-      chainExecutor.validateChainConfig(mcpPath);
+      chainExecutor.validateChainConfig(mcpPath, { variables });
       
       // 报告进度：验证完成，开始执行
       if (reportProgress) {
@@ -44,7 +55,20 @@ export function registerMcpChainTool(server) {
       }
 
       // 执行工具链
-      const result = await chainExecutor.executeChain(mcpPath);
+      // 客户端取消请求时，取消下游正在进行的工具调用
+      let result;
+      try {
+        result = await chainExecutor.executeChain(mcpPath, {
+          input,
+          variables,
+          deadlineMs,
+          signal,
+          trace,
+          outputLimit
+        });
+      } catch (error) {
+        return createChainErrorResponse(error, log);
+      }
       
       // 报告进度：完成
       if (reportProgress) {
@@ -55,7 +79,7 @@ export function registerMcpChainTool(server) {
       }
       
       log.info('MCP工具链执行完成');
-      return result.content[0].text;
+      return createChainResponse(result);
     }
   });
 
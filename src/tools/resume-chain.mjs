@@ -0,0 +1,54 @@
+import { ResumeChainRequestSchema } from '../schemas/mcp-chain-schema.mjs';
+import chainExecutor from '../services/chain-executor.mjs';
+import logger from '../logger.mjs';
+import {
+  registerTool,
+  createChainResponse,
+  createChainErrorResponse,
+} from './utils.mjs';
+
+/**
+ * 注册继续执行失败运行的工具
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerResumeChainTool(server) {
+  registerTool(server, {
+    name: 'resume_chain',
+    description:
+      '从失败的步骤继续执行工具链运行，已完成的步骤不会重新执行；可以替换失败步骤的toolArgs或parameters后重试',
+    parameters: ResumeChainRequestSchema,
+    annotations: {
+      readOnlyHint: false, // 继续执行的步骤可能包含写操作
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: true,
+    },
+    execute: async (
+      { runId, toolArgs, parameters, trace },
+      { log, signal }
+    ) => {
+      log.info(`开始继续执行工具链运行: ${runId}`);
+
+      let result;
+      try {
+        result = await chainExecutor.resumeChain(runId, {
+          toolArgs,
+          parameters,
+          signal,
+          trace,
+        });
+      } catch (error) {
+        return createChainErrorResponse(error, log);
+      }
+
+      log.info(`工具链运行继续执行完成: ${runId}`);
+      return createChainResponse(result);
+    },
+  });
+
+  logger.info('已注册 resume_chain 工具');
+}
+
+export default {
+  registerResumeChainTool,
+};
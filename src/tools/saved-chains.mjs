@@ -0,0 +1,57 @@
+import chainExecutor from '../services/chain-executor.mjs';
+import chainLibrary from '../services/chain-library.mjs';
+import { jsonSchemaToZod } from '../schemas/json-schema-to-zod.mjs';
+import logger from '../logger.mjs';
+import {
+  registerTool,
+  getRegisteredToolNames,
+  createChainResponse,
+} from './utils.mjs';
+
+/**
+ * 将已保存的工具链注册为独立的工具
+ * 需要在内置工具之后注册，名称与已注册的内置工具冲突时报错
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSavedChainTools(server) {
+  const chains = chainLibrary.load();
+  const reservedNames = getRegisteredToolNames(server);
+
+  for (const [name, chain] of chains) {
+    if (reservedNames.has(name)) {
+      throw new Error(`已保存的工具链名称与内置工具冲突: ${name}`);
+    }
+
+    registerTool(server, {
+      name,
+      description: chain.description || `执行已保存的工具链 ${name}`,
+      parameters: jsonSchemaToZod(chain.inputSchema),
+      annotations: chain.annotations,
+      execute: async (args, { log, signal }) => {
+        log.info(`开始执行已保存的工具链: ${name}`);
+
+        chainExecutor.validateChainConfig(chain.mcpPath, {
+          variables: chain.variables,
+        });
+
+        const result = await chainExecutor.executeChain(chain.mcpPath, {
+          deadlineMs: chain.deadlineMs,
+          signal,
+          input: args,
+          variables: chain.variables,
+          outputLimit: chain.outputLimit,
+          chainName: name,
+        });
+
+        log.info(`已保存的工具链执行完成: ${name}`);
+        return createChainResponse(result);
+      },
+    });
+  }
+
+  logger.info(`已注册 ${chains.size} 个已保存的工具链`);
+}
+
+export default {
+  registerSavedChainTools,
+};
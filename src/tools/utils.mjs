@@ -1,4 +1,15 @@
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { FastMCPSession } from 'fastmcp';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import logger from '../logger.mjs';
+
+// 当前tools/call请求的取消信号，由forwardCancelSignal在调用期间设置
+const requestSignal = new AsyncLocalStorage();
+let cancelSignalForwarded = false;
+
+// 每个server上已注册的工具名称
+const registeredToolNames = new WeakMap();
 
 /**
  * Extracts the raw project root path from the session (without normalization).
@@ -63,6 +74,56 @@ function createErrorResponse(errorMessage) {
   };
 }
 
+/**
+ * Converts MCP content blocks returned by downstream tools into blocks FastMCP accepts.
+ * FastMCP only supports text and image blocks, so other types (audio, resource,
+ * resource_link, ...) are passed through as their JSON text.
+ * @param {Array} content - MCP content blocks
+ * @returns {Array} - Content blocks in FastMCP format
+ */
+function toFastMcpContent(content) {
+  return content.map((block) => {
+    if (block.type === 'text') {
+      return { type: 'text', text: block.text };
+    }
+    if (block.type === 'image') {
+      return { type: 'image', data: block.data, mimeType: block.mimeType };
+    }
+    return { type: 'text', text: JSON.stringify(block) };
+  });
+}
+
+/**
+ * 将工具链执行结果转换为工具响应，跟踪模式下附加执行跟踪
+ * @param {Object} result - executeChain的执行结果
+ * @returns {Object} - Content response object in FastMCP format
+ */
+function createChainResponse(result) {
+  const content = toFastMcpContent(result.content);
+  if (result.trace) {
+    content.push({ type: 'text', text: JSON.stringify({ trace: result.trace }, null, 2) });
+  }
+  return result.isError ? { content, isError: true } : { content };
+}
+
+/**
+ * 将工具链执行失败转换为工具响应
+ * 跟踪模式下失败时同时返回错误和执行跟踪；没有跟踪时重新抛出错误，由registerTool统一处理
+ * @param {Error} error - 工具链执行错误
+ * @param {Object} log - The MCP logger object
+ * @returns {Object} - Error content response object in FastMCP format
+ * @throws {Error} 如果错误不带执行跟踪
+ */
+function createChainErrorResponse(error, log) {
+  if (!error.trace) {
+    throw error;
+  }
+  log.error(`工具链执行失败: ${error.message}`);
+  const response = createErrorResponse(`工具执行失败: ${error.message}`);
+  response.content.push({ type: 'text', text: JSON.stringify({ trace: error.trace }, null, 2) });
+  return response;
+}
+
 /**
  * Resolves and normalizes a project root path from various formats.
  * Handles URI encoding, Windows paths, and file protocols.
@@ -211,6 +272,63 @@ function withNormalizedProjectRoot(executeFn) {
   };
 }
 
+/**
+ * 检查forwardCancelSignal依赖的内部接口是否存在
+ * FastMCPSession.setupToolHandlers和SDK Server的_requestHandlers都不是公开接口，
+ * package.json固定了fastmcp和SDK的版本，升级后接口变化时跳过转发而不是影响工具调用
+ * @returns {boolean} 是否可以转发取消信号
+ */
+function canForwardCancelSignal() {
+  if (typeof FastMCPSession.prototype.setupToolHandlers !== 'function') {
+    return false;
+  }
+  try {
+    const probe = new Server(
+      { name: 'cancel-signal-probe', version: '0.0.0' },
+      { capabilities: { tools: {} } }
+    );
+    return probe._requestHandlers instanceof Map;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 将客户端对工具调用的取消（notifications/cancelled）转发给工具
+ * FastMCP 1.x 的tools/call处理函数没有把MCP SDK提供的取消信号（extra.signal）传给工具，
+ * 这里在每个会话注册tools/call处理函数后包装它，在调用期间保存该信号，registerTool注册的工具从context.signal获得。
+ * 会话在连接客户端之前注册处理函数，因此不会错过连接后的第一个请求。
+ * 依赖的内部接口不存在时记录警告并跳过，此时客户端的取消不会终止工具链
+ */
+function forwardCancelSignal() {
+  if (cancelSignalForwarded) return;
+  cancelSignalForwarded = true;
+
+  if (!canForwardCancelSignal()) {
+    logger.warn(
+      '当前版本的FastMCP或MCP SDK不支持转发取消信号，客户端取消工具调用时不会终止正在执行的工具链'
+    );
+    return;
+  }
+
+  const { setupToolHandlers } = FastMCPSession.prototype;
+  FastMCPSession.prototype.setupToolHandlers = function (tools) {
+    setupToolHandlers.call(this, tools);
+
+    // FastMCP没有提供替换处理函数的接口，只能通过SDK Server的请求处理函数表包装
+    const handlers = this.server?._requestHandlers;
+    const handleCallTool =
+      handlers instanceof Map ? handlers.get('tools/call') : undefined;
+    if (typeof handleCallTool !== 'function') {
+      logger.warn('未找到tools/call处理函数，跳过转发取消信号');
+      return;
+    }
+    handlers.set('tools/call', (request, extra) =>
+      requestSignal.run(extra?.signal, () => handleCallTool(request, extra))
+    );
+  };
+}
+
 /**
  * 创建统一的工具注册helper，提供标准化的错误处理和日志记录
  * @param {Object} server - FastMCP server实例
@@ -223,6 +341,11 @@ function withNormalizedProjectRoot(executeFn) {
  */
 function registerTool(server, toolConfig) {
   const { name, description, parameters, execute, annotations = {} } = toolConfig;
+
+  if (!registeredToolNames.has(server)) {
+    registeredToolNames.set(server, new Set());
+  }
+  registeredToolNames.get(server).add(name);
   
   server.addTool({
     name,
@@ -242,8 +365,11 @@ function registerTool(server, toolConfig) {
       try {
         log.info(`开始执行工具: ${name}`, { args });
         
-        // 执行原始工具逻辑
-        const result = await execute(args, context);
+        // 执行原始工具逻辑，客户端取消请求时context.signal被中止
+        const result = await execute(args, {
+          ...context,
+          signal: context.signal ?? requestSignal.getStore(),
+        });
         
         log.info(`工具执行完成: ${name}`);
         
@@ -262,8 +388,8 @@ function registerTool(server, toolConfig) {
           stack: error.stack 
         });
         
-        // 根据FastMCP最佳实践，返回错误字符串而不是抛出异常
-        return `工具执行失败: ${error.message}`;
+        // 根据FastMCP最佳实践，返回错误结果而不是抛出异常，并标记isError
+        return createErrorResponse(`工具执行失败: ${error.message}`);
       }
     }
   });
@@ -272,6 +398,15 @@ function registerTool(server, toolConfig) {
   console.log(`已注册工具: ${name}`);
 }
 
+/**
+ * 获取通过registerTool在server上注册的工具名称
+ * @param {Object} server - FastMCP server实例
+ * @returns {Set<string>} 工具名称
+ */
+function getRegisteredToolNames(server) {
+  return new Set(registeredToolNames.get(server));
+}
+
 /**
  * 创建标准的无参数工具注册helper
  * @param {Object} server - FastMCP server实例
@@ -303,7 +438,12 @@ export {
   createErrorResponse,
   normalizeProjectRoot,
   createContentResponse,
+  toFastMcpContent,
+  createChainResponse,
+  createChainErrorResponse,
+  forwardCancelSignal,
   handleApiResult,
   registerTool,
+  getRegisteredToolNames,
   registerSimpleTool,
 };